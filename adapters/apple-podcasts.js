@@ -0,0 +1,39 @@
+/**
+ * Apple Podcasts web adapter
+ * Reads the episode transcript view of podcasts.apple.com
+ */
+
+transcriptAdapters.register({
+  id: 'apple-podcasts',
+  matches: ['podcasts.apple.com'],
+
+  findPlayer() {
+    return document.querySelector('amp-chrome-player, .player-bar, [data-testid="player"]');
+  },
+
+  async openTranscript() {
+    if (document.querySelector('.transcript [data-begin], [data-testid="transcript-line"]')) return;
+
+    const opened = TranscriptAdapterRegistry.clickFirst([
+      'button[aria-label="Transcript"]',
+      'button[data-testid="transcript-button"]'
+    ]);
+
+    if (opened) {
+      await TranscriptAdapterRegistry.waitForElement('.transcript [data-begin], [data-testid="transcript-line"]');
+    }
+  },
+
+  extractSegments() {
+    // TTML-derived spans keep their begin offset (seconds) in data-begin
+    const spans = document.querySelectorAll('.transcript [data-begin]');
+    if (spans.length > 0) {
+      return TranscriptAdapterRegistry.segmentsFromRows(spans, { timeAttribute: 'data-begin' });
+    }
+
+    return TranscriptAdapterRegistry.segmentsFromRows(
+      document.querySelectorAll('[data-testid="transcript-line"]'),
+      { time: 'time', text: '[data-testid="transcript-text"]' }
+    );
+  }
+});
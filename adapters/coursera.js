@@ -0,0 +1,39 @@
+/**
+ * Coursera transcript adapter
+ * Lecture pages render an interactive transcript below the player
+ */
+
+transcriptAdapters.register({
+  id: 'coursera',
+  matches: ['coursera.org'],
+
+  findPlayer(mediaElement) {
+    return mediaElement.closest('.rc-VideoMiniPlayer, .c-video-player, [data-testid="video-player"]');
+  },
+
+  async openTranscript() {
+    if (document.querySelector('.rc-Phrase')) return;
+
+    const opened = TranscriptAdapterRegistry.clickFirst([
+      'button[data-track-component="transcript_tab"]',
+      '[role="tab"][id*="transcript"]'
+    ]);
+
+    if (opened) {
+      await TranscriptAdapterRegistry.waitForElement('.rc-Phrase');
+    }
+  },
+
+  extractSegments() {
+    // Paragraphs carry the timecode, phrases carry the text
+    const paragraphs = document.querySelectorAll('.rc-Paragraph');
+    if (paragraphs.length > 0) {
+      return TranscriptAdapterRegistry.segmentsFromRows(paragraphs, {
+        time: '.timecode, [class*="timecode"]',
+        text: '.rc-Phrases, [class*="phrases"]'
+      });
+    }
+
+    return TranscriptAdapterRegistry.segmentsFromRows(document.querySelectorAll('.rc-Phrase'));
+  }
+});
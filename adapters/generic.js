@@ -0,0 +1,58 @@
+/**
+ * Generic transcript adapter
+ * Fallback for sites without their own adapter: common caption/transcript selectors,
+ * searched only around the paused player when the page has several, keeping only
+ * text that reads like speech and sits near the player
+ */
+
+transcriptAdapters.registerFallback({
+  id: 'generic',
+  matches: [],
+  liveCaptions: '[class*="caption"], [class*="subtitle"]',
+
+  extractSegments(mediaElement) {
+    const root = TranscriptAdapterRegistry.getMediaScope(mediaElement) || document;
+
+    // Common transcript selectors for different platforms
+    const transcriptSelectors = [
+      // Generic captions/subtitles
+      '[class*="caption"]',
+      '[class*="subtitle"]',
+      '[class*="transcript"]',
+      '.captions',
+      '.subtitles',
+      
+      // ARIA labels and descriptions
+      '[aria-describedby]',
+      '.sr-only',
+      '.screen-reader-text'
+    ];
+
+    // Gather candidates from every selector, skipping text already covered by another
+    const candidates = [];
+    for (const selector of transcriptSelectors) {
+      for (const element of root.querySelectorAll(selector)) {
+        if (candidates.some(({ element: other }) => other.contains(element) || element.contains(other))) continue;
+
+        // Keep line breaks so timestamps at the start of a line survive
+        const text = (element.innerText ?? element.textContent)?.trim();
+        if (!text || text.length <= 10) continue; // Filter out very short text
+
+        candidates.push({ element, text, score: TranscriptQuality.scoreElement(element, text, mediaElement) });
+      }
+    }
+
+    // Image captions, comments and screen-reader labels score low: near the player and speech-like wins
+    const accepted = candidates.filter(({ score }) => score >= TRANSCRIPT_MIN_CONFIDENCE);
+    if (accepted.length > 0) {
+      console.log(`Found ${accepted.length} of ${candidates.length} generic transcript candidates near the player`);
+    }
+
+    const segments = accepted.flatMap(({ text }) => TranscriptSegments.fromText(TranscriptQuality.cleanLines(text)));
+    if (TranscriptSegments.toText(segments).length > TRANSCRIPT_MIN_CHARS) {
+      return segments;
+    }
+
+    return [];
+  }
+});
@@ -0,0 +1,232 @@
+/**
+ * Site adapter registry for Video Recap Assistant
+ * Each adapter knows how to find the player and its transcript on one site
+ */
+
+/**
+ * @typedef {Object} TranscriptAdapter
+ * @property {string} id - Short unique name, e.g. "youtube"
+ * @property {Array<string|RegExp>} matches - Hostnames (subdomains included) or URL patterns
+ * @property {(mediaElement: HTMLMediaElement) => Element|null} [findPlayer] - Player container for the element
+ * @property {(player: Element|null) => Promise<void>} [openTranscript] - Reveal the transcript panel if needed
+ * @property {(mediaElement: HTMLMediaElement, player: Element|null) => Promise<Array>|Array} extractSegments
+ * @property {(mediaElement: HTMLMediaElement, player: Element|null) => boolean} [isAdPlaying] - Pauses during ads never trigger recaps
+ * @property {string} [liveCaptions] - Selector, within the player, for the captions shown during playback
+ */
+
+class TranscriptAdapterRegistry {
+  constructor() {
+    this.adapters = [];
+    this.fallback = null;
+  }
+
+  /**
+   * Register a site adapter; later registrations win over earlier ones
+   */
+  register(adapter) {
+    if (!adapter?.id || typeof adapter.extractSegments !== 'function') {
+      throw new Error('Transcript adapters need an id and an extractSegments function');
+    }
+
+    this.adapters = this.adapters.filter(existing => existing.id !== adapter.id);
+    this.adapters.unshift(adapter);
+  }
+
+  /**
+   * Register the adapter used when no site adapter matches or finds anything
+   */
+  registerFallback(adapter) {
+    this.fallback = adapter;
+  }
+
+  /**
+   * Find the site adapter for a URL
+   */
+  findAdapter(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return null;
+    }
+
+    return this.adapters.find(adapter => adapter.matches.some(pattern => {
+      if (pattern instanceof RegExp) return pattern.test(parsed.href);
+      return parsed.hostname === pattern || parsed.hostname.endsWith(`.${pattern}`);
+    })) || null;
+  }
+
+  /**
+   * Run an adapter against a media element and return its segments
+   */
+  async runAdapter(adapter, mediaElement) {
+    const player = adapter.findPlayer?.(mediaElement) || null;
+
+    if (adapter.openTranscript) {
+      try {
+        await adapter.openTranscript(player);
+      } catch (error) {
+        console.warn(`Adapter ${adapter.id} could not open the transcript:`, error);
+      }
+    }
+
+    const segments = await adapter.extractSegments(mediaElement, player);
+    return Array.isArray(segments) ? segments.filter(segment => segment?.text) : [];
+  }
+
+  /**
+   * Whether the site adapter reports an ad playing in the element's player
+   */
+  isAdPlaying(mediaElement, url = location.href) {
+    const adapter = this.findAdapter(url);
+    if (!adapter?.isAdPlaying) return false;
+    return adapter.isAdPlaying(mediaElement, adapter.findPlayer?.(mediaElement) || null);
+  }
+
+  /**
+   * Where the element's player shows live captions: { root, selector } or null
+   */
+  getLiveCaptionSource(mediaElement, url = location.href) {
+    const adapter = [this.findAdapter(url), this.fallback].find(candidate => candidate?.liveCaptions);
+    if (!adapter) return null;
+
+    const root = adapter.findPlayer?.(mediaElement) || mediaElement.parentElement;
+    return root ? { root, selector: adapter.liveCaptions } : null;
+  }
+
+  /**
+   * Extract segments with the site adapter matching the URL
+   */
+  extract(mediaElement, url = location.href) {
+    return this.extractWith([this.findAdapter(url)], mediaElement);
+  }
+
+  /**
+   * Extract segments with the fallback adapter
+   */
+  extractFallback(mediaElement) {
+    return this.extractWith([this.fallback], mediaElement);
+  }
+
+  /**
+   * Return the first usable result from a list of adapters
+   */
+  async extractWith(adapters, mediaElement) {
+    for (const adapter of adapters.filter(Boolean)) {
+      try {
+        const segments = await this.runAdapter(adapter, mediaElement);
+        if (TranscriptSegments.toText(segments).length > 50) {
+          console.log(`Transcript found by ${adapter.id} adapter (${segments.length} segments)`);
+          return { adapter: adapter.id, segments };
+        }
+      } catch (error) {
+        console.warn(`Adapter ${adapter.id} failed:`, error);
+      }
+    }
+
+    return { adapter: null, segments: [] };
+  }
+
+  /**
+   * Wait for a selector to appear, resolving null after the timeout
+   */
+  static waitForElement(selector, { root = document, timeout = 2000 } = {}) {
+    const existing = root.querySelector(selector);
+    if (existing) return Promise.resolve(existing);
+
+    return new Promise(resolve => {
+      const observer = new MutationObserver(() => {
+        const element = root.querySelector(selector);
+        if (element) {
+          clearTimeout(timer);
+          observer.disconnect();
+          resolve(element);
+        }
+      });
+      const timer = setTimeout(() => {
+        observer.disconnect();
+        resolve(null);
+      }, timeout);
+
+      observer.observe(root === document ? document.documentElement : root, {
+        childList: true,
+        subtree: true
+      });
+    });
+  }
+
+  /**
+   * Build segments from a list of transcript rows
+   * `time` and `text` are selectors relative to each row; a missing `text`
+   * selector uses the row's own text. Rows matching `current` are the cue
+   * playing now, which is where untimed transcripts get cut
+   */
+  static segmentsFromRows(rows, { time, text, timeAttribute, current } = {}) {
+    const segments = Array.from(rows).map(row => {
+      const timeElement = time ? row.querySelector(time) : null;
+      const rawTime = timeAttribute
+        ? (row.getAttribute(timeAttribute) ?? timeElement?.getAttribute(timeAttribute))
+        : timeElement?.textContent;
+      const textElement = text ? row.querySelector(text) : row;
+
+      let start = null;
+      if (rawTime != null && rawTime !== '') {
+        start = /^\d+(\.\d+)?$/.test(String(rawTime).trim())
+          ? Number(rawTime)
+          : TranscriptSegments.parseTimestamp(String(rawTime));
+      }
+
+      const segment = {
+        start,
+        end: null,
+        text: textElement?.textContent?.replace(/\s+/g, ' ').trim() || ''
+      };
+      if (current && row.matches(current)) segment.current = true;
+      return segment;
+    }).filter(segment => segment.text);
+
+    return TranscriptSegments.fillEndTimes(segments);
+  }
+
+  /**
+   * The largest ancestor of a media element that holds no other media
+   * On pages with several players, page-wide searches are limited to this
+   */
+  static getMediaScope(mediaElement) {
+    const parentOf = (node) => node.parentElement ??
+      (node.parentNode instanceof ShadowRoot ? node.parentNode.host : null);
+
+    let scope = parentOf(mediaElement);
+    if (!scope) return null;
+
+    for (let parent = parentOf(scope); parent && parent !== document.documentElement; parent = parentOf(parent)) {
+      if (this.containsOtherMedia(parent, mediaElement)) break;
+      scope = parent;
+    }
+    return scope;
+  }
+
+  /**
+   * Whether a container holds audio/video other than the given element
+   */
+  static containsOtherMedia(container, mediaElement) {
+    return MediaDiscovery.querySelectorAllDeep(container, 'audio, video')
+      .some(element => element !== mediaElement);
+  }
+
+  /**
+   * Click the first matching element, e.g. a "Show transcript" button
+   */
+  static clickFirst(selectors, root = document) {
+    for (const selector of selectors) {
+      const element = root.querySelector(selector);
+      if (element) {
+        element.click();
+        return true;
+      }
+    }
+    return false;
+  }
+}
+
+const transcriptAdapters = new TranscriptAdapterRegistry();
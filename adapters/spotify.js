@@ -0,0 +1,40 @@
+/**
+ * Spotify web player podcast adapter
+ * Episode pages show a timestamped transcript for supported shows
+ */
+
+transcriptAdapters.register({
+  id: 'spotify',
+  matches: ['open.spotify.com'],
+
+  findPlayer() {
+    return document.querySelector('[data-testid="now-playing-bar"], footer');
+  },
+
+  async openTranscript() {
+    if (document.querySelector('[data-testid="transcript-line"], [data-testid="episode-transcript"] p')) return;
+
+    const opened = TranscriptAdapterRegistry.clickFirst([
+      'button[data-testid="transcript-button"]',
+      'a[href*="/transcript"]'
+    ]);
+
+    if (opened) {
+      await TranscriptAdapterRegistry.waitForElement('[data-testid="transcript-line"], [data-testid="episode-transcript"] p');
+    }
+  },
+
+  extractSegments() {
+    const lines = document.querySelectorAll('[data-testid="transcript-line"]');
+    if (lines.length > 0) {
+      return TranscriptAdapterRegistry.segmentsFromRows(lines, {
+        time: '[data-testid="transcript-timestamp"], time',
+        text: '[data-testid="transcript-text"], p'
+      });
+    }
+
+    // Older layout: plain paragraphs, each starting with its timestamp
+    return Array.from(document.querySelectorAll('[data-testid="episode-transcript"] p'))
+      .flatMap(paragraph => TranscriptSegments.fromText(paragraph.innerText ?? paragraph.textContent));
+  }
+});
@@ -0,0 +1,32 @@
+/**
+ * Udemy transcript adapter
+ * Opens the course player's transcript sidebar
+ */
+
+transcriptAdapters.register({
+  id: 'udemy',
+  matches: ['udemy.com'],
+  liveCaptions: '[data-purpose="captions-cue-text"]',
+
+  findPlayer(mediaElement) {
+    return mediaElement.closest('[data-purpose="curriculum-item-viewer-content"], [class*="video-player--container"]');
+  },
+
+  async openTranscript() {
+    if (document.querySelector('[data-purpose="transcript-cue"]')) return;
+
+    const opened = TranscriptAdapterRegistry.clickFirst(['button[data-purpose="transcript-toggle"]']);
+    if (opened) {
+      await TranscriptAdapterRegistry.waitForElement('[data-purpose="transcript-cue"]');
+    }
+  },
+
+  extractSegments() {
+    // Udemy cues have no visible timestamps, so the transcript is untimed;
+    // the highlighted cue marks where playback is
+    return TranscriptAdapterRegistry.segmentsFromRows(
+      document.querySelectorAll('[data-purpose="transcript-cue"]'),
+      { text: '[data-purpose="cue-text"]', current: '[class*="transcript--active-cue"]' }
+    );
+  }
+});
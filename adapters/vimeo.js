@@ -0,0 +1,34 @@
+/**
+ * Vimeo transcript adapter
+ * Reads the player's transcript panel; captions on <track> are handled by CaptionTrackReader
+ */
+
+transcriptAdapters.register({
+  id: 'vimeo',
+  matches: ['vimeo.com', 'player.vimeo.com'],
+  liveCaptions: '.vp-captions',
+
+  findPlayer(mediaElement) {
+    return mediaElement.closest('.vp-video-wrapper, .player, [data-player]');
+  },
+
+  async openTranscript(player) {
+    if (document.querySelector('[class*="TranscriptCue"], .vp-transcript-cue')) return;
+
+    const opened = TranscriptAdapterRegistry.clickFirst([
+      'button[aria-label="Transcript"]',
+      'button[data-transcript-button]'
+    ], player || document);
+
+    if (opened) {
+      await TranscriptAdapterRegistry.waitForElement('[class*="TranscriptCue"], .vp-transcript-cue');
+    }
+  },
+
+  extractSegments() {
+    return TranscriptAdapterRegistry.segmentsFromRows(
+      document.querySelectorAll('[class*="TranscriptCue"], .vp-transcript-cue'),
+      { time: '[class*="Timestamp"], .vp-transcript-timestamp', text: '[class*="CueText"], .vp-transcript-text' }
+    );
+  }
+});
@@ -0,0 +1,133 @@
+/**
+ * YouTube transcript adapter
+ * Reads the video's caption track; only when there is none it can read does it
+ * open the "Show transcript" engagement panel and read its timestamped segments
+ */
+
+transcriptAdapters.register({
+  id: 'youtube',
+  matches: ['youtube.com', 'youtube-nocookie.com'],
+  liveCaptions: '.caption-window',
+
+  findPlayer(mediaElement) {
+    return mediaElement.closest('#movie_player, .html5-video-player');
+  },
+
+  isAdPlaying(mediaElement, player) {
+    return Boolean(player?.classList.contains('ad-showing') || player?.classList.contains('ad-interrupting'));
+  },
+
+  async extractSegments() {
+    try {
+      const captions = await this.readCaptions();
+      if (captions.length > 0) return captions;
+    } catch (error) {
+      console.warn('Could not read YouTube captions, trying the transcript panel:', error);
+    }
+
+    await this.openTranscriptPanel();
+    return TranscriptAdapterRegistry.segmentsFromRows(
+      document.querySelectorAll('ytd-transcript-segment-renderer'),
+      { time: '.segment-timestamp', text: '.segment-text' }
+    );
+  },
+
+  /**
+   * Cues of the video's caption track, preferring uploaded captions over automatic ones
+   */
+  async readCaptions() {
+    const videoId = new URLSearchParams(location.search).get('v') ||
+      location.pathname.match(/^\/(?:embed|shorts|live)\/([\w-]+)/)?.[1];
+    if (!videoId) return [];
+
+    const tracks = await this.getCaptionTracks(videoId);
+    const track = tracks.find(candidate => candidate.kind !== 'asr') || tracks[0];
+    if (!track?.baseUrl) return [];
+
+    const url = new URL(track.baseUrl, location.href);
+    url.searchParams.set('fmt', 'json3');
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    // Served empty when YouTube wants a proof-of-origin token from its own player
+    const text = await response.text();
+    return text ? this.parseJson3(JSON.parse(text)) : [];
+  },
+
+  /**
+   * The caption tracks listed in the player response for a video
+   * The inline response only describes the page first loaded; after in-page
+   * navigation the watch page is fetched again
+   */
+  async getCaptionTracks(videoId) {
+    for (const script of document.querySelectorAll('script:not([src])')) {
+      if (!script.textContent.includes('ytInitialPlayerResponse')) continue;
+
+      const tracks = this.findCaptionTracks(script.textContent, videoId);
+      if (tracks) return tracks;
+    }
+
+    if (location.hostname !== 'www.youtube.com' && location.hostname !== 'youtube.com') return [];
+
+    const response = await fetch(`/watch?v=${encodeURIComponent(videoId)}`);
+    return (response.ok && this.findCaptionTracks(await response.text(), videoId)) || [];
+  },
+
+  /**
+   * Caption tracks from a player response in page source, or null when the
+   * source is about another video; an empty list when the video has none
+   */
+  findCaptionTracks(source, videoId) {
+    if (!source.includes(`"videoDetails":{"videoId":"${videoId}"`)) return null;
+
+    const start = source.indexOf('"captionTracks":');
+    if (start === -1) return [];
+
+    const list = source.indexOf('[', start);
+    let depth = 0;
+    let inString = false;
+    for (let i = list; i < source.length; i++) {
+      const char = source[i];
+      if (inString) {
+        if (char === '\\') i++;
+        else if (char === '"') inString = false;
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === '[' || char === '{') {
+        depth++;
+      } else if ((char === ']' || char === '}') && --depth === 0) {
+        return JSON.parse(source.slice(list, i + 1));
+      }
+    }
+    return [];
+  },
+
+  /**
+   * Segments from YouTube's json3 caption format
+   */
+  parseJson3(data) {
+    return (data.events || [])
+      .filter(event => event.segs)
+      .map(event => ({
+        start: event.tStartMs / 1000,
+        end: Number.isFinite(event.dDurationMs) ? (event.tStartMs + event.dDurationMs) / 1000 : null,
+        text: event.segs.map(seg => seg.utf8 || '').join('').replace(/\s+/g, ' ').trim()
+      }))
+      .filter(segment => segment.text);
+  },
+
+  async openTranscriptPanel() {
+    if (document.querySelector('ytd-transcript-segment-renderer')) return;
+
+    // Transcript button lives in the expanded description
+    TranscriptAdapterRegistry.clickFirst(['tp-yt-paper-button#expand', '#description-inline-expander #expand']);
+    const opened = TranscriptAdapterRegistry.clickFirst([
+      'ytd-video-description-transcript-section-renderer button',
+      'button[aria-label="Show transcript"]'
+    ]);
+
+    if (opened) {
+      await TranscriptAdapterRegistry.waitForElement('ytd-transcript-segment-renderer', { timeout: 3000 });
+    }
+  }
+});
@@ -0,0 +1,220 @@
+/**
+ * Audio capture for local speech-to-text in Video Recap Assistant
+ * Records a media element's audio while it plays, cuts it into chunks and
+ * has the Whisper model transcribe each one in the background
+ */
+
+const CAPTURE_SAMPLE_RATE = 16000; // What Whisper expects
+const CAPTURE_CHUNK_SECONDS = 30; // Whisper's native window
+const CAPTURE_BLOCK_SIZE = 4096;
+
+class AudioCaptureBuffer {
+  /**
+   * @param {HTMLMediaElement} element
+   * @param {Object} options
+   * @param {number} options.maxSeconds - How much transcribed audio to keep
+   * @param {Function} options.onUnavailable - Called when the background has no Whisper model
+   */
+  constructor(element, { maxSeconds = 300, onUnavailable = () => {} } = {}) {
+    this.element = element;
+    this.maxSeconds = maxSeconds;
+    this.onUnavailable = onUnavailable;
+
+    this.context = null;
+    this.processor = null;
+    this.chunk = null; // { startTime, blocks: Int16Array[], samples }
+    this.segments = []; // Transcribed segments, media-timed
+    this.pending = new Set(); // In-flight transcription promises
+    this.failed = false;
+
+    this.handleSeeking = () => this.flush();
+    this.handlePause = () => this.flush();
+  }
+
+  /**
+   * Start capturing; returns false if the element's audio can't be captured
+   */
+  start() {
+    if (this.context || this.failed) return Boolean(this.context);
+
+    try {
+      const captureStream = this.element.captureStream || this.element.mozCaptureStream;
+      const stream = captureStream.call(this.element);
+
+      if (stream.getAudioTracks().length === 0) {
+        // Tracks appear once playback starts; try again on the next play
+        return false;
+      }
+
+      this.context = new AudioContext();
+      const source = this.context.createMediaStreamSource(stream);
+
+      // ScriptProcessorNode needs no module URL, which page CSP could block for AudioWorklet
+      this.processor = this.context.createScriptProcessor(CAPTURE_BLOCK_SIZE, 1, 1);
+      this.processor.onaudioprocess = (event) => this.handleAudio(event.inputBuffer);
+
+      // Keep the graph running without playing the audio a second time
+      const mute = this.context.createGain();
+      mute.gain.value = 0;
+      source.connect(this.processor);
+      this.processor.connect(mute);
+      mute.connect(this.context.destination);
+
+      this.element.addEventListener('seeking', this.handleSeeking);
+      this.element.addEventListener('pause', this.handlePause);
+
+      console.log('Capturing audio for local transcription');
+      return true;
+    } catch (error) {
+      // Cross-origin media without CORS can't be captured
+      console.warn('Audio capture unavailable for this element:', error);
+      this.failed = true;
+      this.stop();
+      return false;
+    }
+  }
+
+  stop() {
+    this.element.removeEventListener('seeking', this.handleSeeking);
+    this.element.removeEventListener('pause', this.handlePause);
+    this.processor?.disconnect();
+    this.context?.close().catch(() => {});
+    this.processor = null;
+    this.context = null;
+    this.chunk = null;
+  }
+
+  /**
+   * Downsample each block to 16 kHz mono and add it to the current chunk
+   */
+  handleAudio(inputBuffer) {
+    if (this.element.paused) return;
+
+    const samples = AudioCaptureBuffer.downsample(inputBuffer.getChannelData(0), inputBuffer.sampleRate);
+    const blockSeconds = inputBuffer.duration;
+
+    if (!this.chunk) {
+      this.chunk = {
+        startTime: Math.max(0, this.element.currentTime - blockSeconds),
+        blocks: [],
+        samples: 0
+      };
+    }
+
+    this.chunk.blocks.push(samples);
+    this.chunk.samples += samples.length;
+
+    if (this.chunk.samples >= CAPTURE_CHUNK_SECONDS * CAPTURE_SAMPLE_RATE) {
+      this.flush();
+    }
+  }
+
+  /**
+   * Send the current chunk off for transcription
+   */
+  flush() {
+    const chunk = this.chunk;
+    this.chunk = null;
+
+    // Less than a second of audio isn't worth a model run
+    if (!chunk || chunk.samples < CAPTURE_SAMPLE_RATE) return;
+
+    const audio = new Int16Array(chunk.samples);
+    let offset = 0;
+    for (const block of chunk.blocks) {
+      audio.set(block, offset);
+      offset += block.length;
+    }
+
+    const request = this.transcribe(audio, chunk.startTime)
+      .catch(error => console.warn('Local transcription failed:', error))
+      .finally(() => this.pending.delete(request));
+    this.pending.add(request);
+  }
+
+  async transcribe(audio, startTime) {
+    const response = await chrome.runtime.sendMessage({
+      action: 'transcribeAudio',
+      audio: AudioCaptureBuffer.toBase64(audio),
+      sampleRate: CAPTURE_SAMPLE_RATE
+    });
+
+    if (response?.error?.code === 'MODEL_UNAVAILABLE') {
+      // Every later chunk would fail the same way, so stop capturing
+      this.failed = true;
+      this.stop();
+      this.onUnavailable();
+      return;
+    }
+    if (response?.error) {
+      throw new Error(response.error.message);
+    }
+
+    const segments = (response?.segments || []).map(segment => ({
+      start: startTime + segment.start,
+      end: segment.end !== null ? startTime + segment.end : null,
+      text: segment.text
+    }));
+    this.addSegments(segments);
+  }
+
+  /**
+   * Merge new segments, replacing any that overlap them (after seeking back)
+   */
+  addSegments(segments) {
+    if (segments.length === 0) return;
+
+    const from = segments[0].start;
+    const to = segments[segments.length - 1].end ?? segments[segments.length - 1].start;
+
+    this.segments = this.segments
+      .filter(segment => segment.start < from || segment.start > to)
+      .concat(segments)
+      .sort((a, b) => a.start - b.start);
+
+    // Rolling buffer: only keep the most recent stretch of media
+    const newest = this.segments[this.segments.length - 1].start;
+    this.segments = this.segments.filter(segment => newest - segment.start <= this.maxSeconds);
+  }
+
+  /**
+   * Transcribed segments, including whatever was still being captured
+   */
+  async getSegments() {
+    this.flush();
+    await Promise.all(Array.from(this.pending));
+    return this.segments;
+  }
+
+  /**
+   * Float32 samples at sourceRate to Int16 samples at 16 kHz (box-filter decimation)
+   */
+  static downsample(input, sourceRate) {
+    const ratio = sourceRate / CAPTURE_SAMPLE_RATE;
+    const length = Math.floor(input.length / ratio);
+    const output = new Int16Array(length);
+
+    for (let i = 0; i < length; i++) {
+      const start = Math.floor(i * ratio);
+      const end = Math.min(input.length, Math.floor((i + 1) * ratio));
+      let sum = 0;
+      for (let j = start; j < end; j++) sum += input[j];
+
+      const sample = Math.max(-1, Math.min(1, sum / Math.max(1, end - start)));
+      output[i] = sample < 0 ? sample * 0x8000 : sample * 0x7fff;
+    }
+    return output;
+  }
+
+  /**
+   * Messages are JSON, so audio travels as base64
+   */
+  static toBase64(int16Array) {
+    const bytes = new Uint8Array(int16Array.buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+}
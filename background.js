@@ -0,0 +1,507 @@
+/**
+ * Background Service Worker for Video Recap Assistant
+ * Handles summarization, text-to-speech, transcription and downloads on behalf of content scripts
+ */
+
+importScripts('i18n.js', 'llm-client.js', 'recap-history.js', 'settings.js', 'transcript-segments.js', 'recap-format.js', 'recap-chunker.js', 'summary-cache.js');
+
+const DEFAULT_LLM_SETTINGS = {
+  provider: 'openai',
+  endpoint: '',
+  apiKey: '',
+  model: '',
+  timeoutMs: 30000,
+  maxRetries: 2
+};
+
+// whisper.cpp build and model for local transcription; not bundled, the user adds them
+const WHISPER_FILES = ['whisper/libmain.js', 'whisper/ggml-model.bin'];
+
+// Keyboard shortcuts (manifest "commands") and the content script action each one sends
+const COMMAND_ACTIONS = {
+  'recap-now': 'recapNow',
+  'toggle-overlay': 'toggleOverlay',
+  'toggle-speech': 'toggleSpeech',
+  'rewind-to-recap': 'rewindToRecap'
+};
+
+class RecapBackground {
+  constructor() {
+    this.llm = new LLMClient(DEFAULT_LLM_SETTINGS);
+    this.history = new RecapHistory();
+    this.cache = new SummaryCache();
+    this.chunker = new RecapChunker(this.llm, this.cache);
+    this.offscreenCreating = null;
+    this.whisperInstalled = null;
+
+    this.init();
+  }
+
+  init() {
+    console.log('Video Recap Assistant: Initializing background service worker');
+
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      this.handleMessage(message, sender)
+        .then(sendResponse)
+        .catch(error => {
+          console.error(`Error handling ${message.action}:`, error);
+          sendResponse({ error: this.toErrorPayload(error) });
+        });
+      return true; // Keep message channel open for async response
+    });
+
+    // Tell content scripts when the user steps away from or returns to the computer
+    chrome.idle.setDetectionInterval(60);
+    chrome.idle.onStateChanged.addListener((state) => this.broadcastIdleState(state));
+
+    chrome.commands.onCommand.addListener((command, tab) => this.handleCommand(command, tab));
+
+    // Streaming summaries use a long-lived port per request
+    chrome.runtime.onConnect.addListener((port) => {
+      if (port.name === 'recap-stream') {
+        this.handleStreamPort(port);
+      }
+    });
+  }
+
+  /**
+   * Stream a recap over a port as { type: 'token' | 'done' | 'error' } messages
+   * Tokens are raw JSON text; 'done' carries the parsed Recap
+   * Disconnecting the port cancels the request
+   */
+  handleStreamPort(port) {
+    const controller = new AbortController();
+    let connected = true;
+
+    port.onDisconnect.addListener(() => {
+      connected = false;
+      controller.abort();
+    });
+
+    const post = (message) => {
+      if (connected) port.postMessage(message);
+    };
+
+    port.onMessage.addListener(async (message) => {
+      if (message.action !== 'generateSummary') return;
+
+      if (!message.transcript) {
+        post({ type: 'error', error: { code: LLM_ERROR_CODES.INVALID_REQUEST, message: 'Empty transcript' } });
+        return;
+      }
+
+      try {
+        await this.loadLLMSettings();
+        const settings = await this.getRecapSettings(message.transcript, message.language);
+        const cacheKey = await this.getRecapCacheKey(message.transcript, message.segments, settings);
+        const cached = await this.cache.get(cacheKey);
+        if (cached) {
+          console.log('Using cached summary');
+          post({ type: 'done', recap: cached, provider: this.llm.providerName, cached: true });
+          return;
+        }
+
+        console.log(`Streaming summary with ${this.llm.providerName} (${message.transcript.length} chars)`);
+
+        const prompt = await this.prepareRecapPrompt(message.transcript, message.segments, settings, {
+          signal: controller.signal
+        });
+        const text = await this.llm.stream(
+          prompt,
+          (token) => post({ type: 'token', text: token }),
+          { signal: controller.signal }
+        );
+        const recap = { ...RecapFormat.parse(text), language: settings.outputLanguage };
+        this.cacheRecap(cacheKey, recap);
+        post({ type: 'done', recap, provider: this.llm.providerName });
+      } catch (error) {
+        if (error.code !== LLM_ERROR_CODES.CANCELLED) {
+          console.error('Streaming summary failed:', error);
+        }
+        post({ type: 'error', error: this.toErrorPayload(error) });
+      }
+    });
+  }
+
+  /**
+   * Send a keyboard shortcut to the tab's top frame, the same way the popup does
+   */
+  async handleCommand(command, tab) {
+    const action = COMMAND_ACTIONS[command];
+    if (!action) return;
+
+    const tabId = tab?.id ?? (await chrome.tabs.query({ active: true, currentWindow: true }))[0]?.id;
+    if (tabId === undefined) return;
+
+    try {
+      const response = await chrome.tabs.sendMessage(tabId, { action }, { frameId: 0 });
+      if (response?.error) {
+        console.log(`Shortcut ${command} did nothing:`, response.error);
+      }
+    } catch {
+      // No content script on this page (e.g. chrome:// pages)
+    }
+  }
+
+  /**
+   * Relay an idle state change to every tab's content scripts
+   */
+  async broadcastIdleState(state) {
+    const tabs = await chrome.tabs.query({});
+    for (const tab of tabs) {
+      chrome.tabs.sendMessage(tab.id, { action: 'idleStateChanged', state }).catch(() => {
+        // No content script in this tab
+      });
+    }
+  }
+
+  /**
+   * Route messages from content scripts and extension pages
+   */
+  async handleMessage(message, sender) {
+    switch (message.action) {
+      case 'generateSummary':
+        return this.generateSummary(message.transcript, message.segments, message.language);
+
+      case 'speakText':
+        return this.speakText(message.text, message.settings, sender, message.language, message.utteranceId);
+
+      case 'stopSpeech':
+        chrome.tts?.stop();
+        return { success: true };
+
+      case 'pauseSpeech':
+        chrome.tts?.pause();
+        return { success: true };
+
+      case 'resumeSpeech':
+        chrome.tts?.resume();
+        return { success: true };
+
+      case 'downloadExport':
+        return this.downloadExport(message);
+
+      case 'transcribeAudio':
+        return this.transcribeAudio(message.audio, message.sampleRate);
+
+      case 'getLocalTranscriptionStatus':
+        return { available: await this.isWhisperInstalled() };
+
+      case 'relayToFrame':
+        // Content scripts in different frames of a tab talk through here
+        if (!sender.tab) {
+          return { error: { code: 'INVALID_REQUEST', message: 'Only content scripts can relay to frames' } };
+        }
+        return chrome.tabs.sendMessage(sender.tab.id, { ...message.message, sourceFrameId: sender.frameId }, {
+          frameId: message.frameId
+        });
+
+      case 'saveRecap':
+        return { entry: await this.history.addEntry(message.entry) };
+
+      // The history page goes through here too, so every write shares one queue
+      case 'searchHistory':
+        return { videos: await this.history.search(message.query || '') };
+
+      case 'deleteRecap':
+        return { deleted: await this.history.deleteEntry(message.videoKey, message.entryId) };
+
+      case 'deleteVideoHistory':
+        return { deleted: await this.history.deleteVideo(message.videoKey) };
+
+      case 'clearHistory':
+        await this.history.clear();
+        return { success: true };
+
+      case 'recapReady':
+        if (sender.tab) {
+          await chrome.action.setBadgeBackgroundColor({ tabId: sender.tab.id, color: '#007bff' });
+          await chrome.action.setBadgeText({ tabId: sender.tab.id, text: '1' });
+        }
+        return { success: true };
+
+      case 'getCacheStats':
+        return { stats: await this.cache.getStats() };
+
+      case 'clearCache':
+        await this.cache.clear();
+        return { success: true };
+
+      case 'openHistory':
+        await chrome.tabs.create({ url: chrome.runtime.getURL('history.html') });
+        return { success: true };
+
+      default:
+        return { error: { code: 'UNKNOWN_ACTION', message: `Unknown action: ${message.action}` } };
+    }
+  }
+
+  /**
+   * Load the provider settings saved by the user
+   */
+  async loadLLMSettings() {
+    const { llmSettings } = await chrome.storage.local.get(['llmSettings']);
+    this.llm.configure({ ...DEFAULT_LLM_SETTINGS, ...llmSettings });
+  }
+
+  /**
+   * Recap a transcript with the configured provider
+   * Returns { recap, summary } where summary is the recap as plain text
+   */
+  async generateSummary(transcript, segments = [], language) {
+    if (!transcript) {
+      return { error: { code: LLM_ERROR_CODES.INVALID_REQUEST, message: 'Empty transcript' } };
+    }
+
+    try {
+      await this.loadLLMSettings();
+      const settings = await this.getRecapSettings(transcript, language);
+      const cacheKey = await this.getRecapCacheKey(transcript, segments, settings);
+      const cached = await this.cache.get(cacheKey);
+      if (cached) {
+        console.log('Using cached summary');
+        return { recap: cached, summary: RecapFormat.toText(cached), provider: this.llm.providerName, cached: true };
+      }
+
+      console.log(`Generating summary with ${this.llm.providerName} (${transcript.length} chars)`);
+
+      const prompt = await this.prepareRecapPrompt(transcript, segments, settings);
+      const text = await this.llm.complete(prompt);
+      const recap = { ...RecapFormat.parse(text), language: settings.outputLanguage };
+      this.cacheRecap(cacheKey, recap);
+      return { recap, summary: RecapFormat.toText(recap), provider: this.llm.providerName };
+    } catch (error) {
+      console.error('Summary generation failed:', error);
+      return { error: this.toErrorPayload(error) };
+    }
+  }
+
+  /**
+   * The user's settings with the languages worked out: outputLanguage is the one
+   * chosen ('browser' meaning the browser's own), else the transcript's, so a
+   * foreign-language transcript is translated only when the user asked for that
+   * @param {string} [transcriptLanguage] - Detected by the content script; detected here if missing
+   */
+  async getRecapSettings(transcript, transcriptLanguage) {
+    const settings = await SettingsStore.load();
+    transcriptLanguage ??= await I18n.detectLanguage(transcript);
+
+    const chosen = settings.outputLanguage === 'browser' ? chrome.i18n.getUILanguage() : settings.outputLanguage;
+    return { ...settings, outputLanguage: chosen || transcriptLanguage, transcriptLanguage };
+  }
+
+  /**
+   * Cache key for a recap: everything that changes the prompt or who answers it,
+   * plus the transcript window with times when there are any
+   */
+  getRecapCacheKey(transcript, segments = [], settings) {
+    const text = TranscriptSegments.isTimed(segments) ? TranscriptSegments.toTimedText(segments) : transcript;
+    return SummaryCache.createKey(
+      'recap',
+      this.llm.providerName,
+      this.llm.config.model,
+      settings.summaryLength,
+      settings.tone,
+      settings.outputLanguage,
+      SummaryCache.normalize(text)
+    );
+  }
+
+  /**
+   * Store a finished recap; a failed write only costs a future cache miss
+   */
+  cacheRecap(key, recap) {
+    if (!RecapFormat.hasContent(recap)) return;
+    this.cache.set(key, recap).catch(error => console.error('Error caching summary:', error));
+  }
+
+  /**
+   * Recap prompt for a transcript of any length: long ones are first
+   * summarized chunk by chunk and the recap is written from those notes
+   */
+  async prepareRecapPrompt(transcript, segments = [], settings, { signal } = {}) {
+    if (!RecapChunker.needsChunking(transcript)) {
+      return this.buildRecapPrompt(transcript, settings, segments);
+    }
+
+    const source = segments.length > 0 ? segments : [{ start: null, end: null, text: transcript }];
+    const notes = await this.chunker.summarize(source, settings, { signal });
+    return this.buildRecapPrompt(notes, settings, segments, { fromNotes: true });
+  }
+
+  /**
+   * Prompt for a structured JSON recap (see recap-format.js) of what the viewer
+   * just watched, in the user's style
+   * Timed segments are sent as "[m:ss] text" lines so chapters can carry times
+   */
+  buildRecapPrompt(transcript, settings = SettingsStore.defaults(), segments = [], { fromNotes = false } = {}) {
+    const lengths = {
+      oneLine: 'a single sentence',
+      paragraph: 'a concise paragraph (3-5 sentences)',
+      bullets: '3-5 short bullet points, each starting with "- "'
+    };
+    const tones = {
+      neutral: 'Use a neutral, informative tone.',
+      casual: 'Use a casual, friendly tone.',
+      formal: 'Use a formal tone.',
+      encouraging: 'Use a warm, encouraging tone.'
+    };
+    let language = settings.outputLanguage
+      ? `Write the recap in the language with code "${settings.outputLanguage}".`
+      : 'Write the recap in the same language as the transcript.';
+    if (!fromNotes && settings.transcriptLanguage && !I18n.sameLanguage(settings.transcriptLanguage, settings.outputLanguage)) {
+      language += ` The transcript is in the language with code "${settings.transcriptLanguage}", so translate; keep names as they are.`;
+    }
+
+    const timed = TranscriptSegments.isTimed(segments);
+    const chapters = timed
+      ? `"chapters": 2-6 objects {"start": seconds as a number, "title": short title} marking where topics change, using the ${fromNotes ? 'notes\'' : 'transcript\'s'} [m:ss] times`
+      : '"chapters": [] (the transcript has no times)';
+
+    return {
+      system: 'You help people pick up where they left off in a video or podcast. ' +
+        (fromNotes
+          ? 'Given notes on consecutive parts of what they watched before pausing, '
+          : 'Given the transcript of what they watched before pausing, ') +
+        'reply with only a JSON object, no code fences, with these keys in this order: ' +
+        '"leftOff": one sentence saying what was being discussed at the pause, starting with "You left off"; ' +
+        `"summary": ${lengths[settings.summaryLength]} covering the main points; ` +
+        '"keyPoints": 3-5 short strings; ' +
+        '"terms": up to 5 objects {"term", "definition"} for names or terms the transcript introduced, each defined in a few words; ' +
+        `${chapters}. ` +
+        `${tones[settings.tone]} ${language} Do not mention the transcript itself.`,
+      messages: [{ role: 'user', content: timed && !fromNotes ? TranscriptSegments.toTimedText(segments) : transcript }],
+      maxTokens: settings.summaryLength === 'oneLine' ? 400 : 900
+    };
+  }
+
+  /**
+   * Speak text with chrome.tts and tell the sender frame when it ends
+   * The utterance id comes back with speechEnded so the sender can tell
+   * this sentence's end from one it already skipped
+   */
+  async speakText(text, settings = {}, sender, language = '', utteranceId = null) {
+    if (!text) {
+      return { success: false, error: 'Nothing to speak' };
+    }
+    if (!chrome.tts) {
+      return { success: false, error: 'TTS_UNAVAILABLE' };
+    }
+
+    const target = sender?.tab ? { tabId: sender.tab.id, frameId: sender.frameId } : null;
+
+    const voice = await this.pickVoice(settings.voiceName, language);
+
+    chrome.tts.stop();
+    await chrome.tts.speak(text, {
+      rate: settings.rate ?? 1.0,
+      pitch: settings.pitch ?? 1.0,
+      volume: settings.volume ?? 0.8,
+      ...voice,
+      onEvent: (event) => {
+        if (!['end', 'interrupted', 'cancelled', 'error'].includes(event.type)) return;
+        if (event.type === 'error') {
+          console.error('TTS error:', event.errorMessage);
+        }
+        if (target) {
+          chrome.tabs.sendMessage(target.tabId, { action: 'speechEnded', utteranceId, reason: event.type }, {
+            frameId: target.frameId
+          }).catch(() => {
+            // Tab navigated away while speaking
+          });
+        }
+      }
+    });
+
+    return { success: true };
+  }
+
+  /**
+   * Voice options for a recap language: the user's voice if it speaks that
+   * language, else the best voice that does, else the user's voice anyway
+   */
+  async pickVoice(voiceName, language) {
+    const preferred = { voiceName: voiceName || undefined };
+    if (!language) return preferred;
+
+    const voices = await chrome.tts.getVoices();
+    const chosen = voices.find(voice => voice.voiceName === voiceName);
+    if (chosen && (!chosen.lang || I18n.sameLanguage(chosen.lang, language))) return preferred;
+
+    const match = voices.find(voice => voice.lang?.toLowerCase() === language.toLowerCase()) ||
+      voices.find(voice => I18n.sameLanguage(voice.lang, language));
+    if (match) return { voiceName: match.voiceName, lang: match.lang };
+
+    console.log(`No voice for ${language}, using ${voiceName || 'the default voice'}`);
+    return preferred;
+  }
+
+  /**
+   * Save an exported recap to the downloads folder
+   * Service workers can't make blob URLs, so the file goes in a data URL
+   */
+  async downloadExport({ filename, mimeType, content }) {
+    await chrome.downloads.download({
+      url: `data:${mimeType};charset=utf-8,${encodeURIComponent(content)}`,
+      filename,
+      conflictAction: 'uniquify'
+    });
+    return { success: true };
+  }
+
+  /**
+   * Transcribe captured audio with the Whisper worker in the offscreen document
+   */
+  async transcribeAudio(audio, sampleRate) {
+    if (!audio) {
+      return { error: { code: 'INVALID_REQUEST', message: 'No audio' } };
+    }
+
+    if (!await this.isWhisperInstalled()) {
+      return { error: { code: 'MODEL_UNAVAILABLE', message: 'The Whisper build or model is not installed' } };
+    }
+
+    await this.ensureOffscreenDocument();
+    const response = await chrome.runtime.sendMessage({ target: 'offscreen', action: 'transcribe', audio, sampleRate });
+    return response || { error: { code: 'TRANSCRIPTION_FAILED', message: 'No response from transcriber' } };
+  }
+
+  /**
+   * Whether this install has the Whisper build and model in whisper/
+   * They can only change with the extension's files, so one check per worker start is enough
+   */
+  isWhisperInstalled() {
+    this.whisperInstalled ??= Promise.all(WHISPER_FILES.map(file =>
+      fetch(chrome.runtime.getURL(file), { method: 'HEAD' }).then(response => response.ok, () => false)
+    )).then(found => found.every(Boolean));
+    return this.whisperInstalled;
+  }
+
+  /**
+   * Open the offscreen document unless it already is (only one may exist)
+   */
+  async ensureOffscreenDocument() {
+    const contexts = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] });
+    if (contexts.length > 0) return;
+
+    // Concurrent chunks would otherwise race to create it
+    this.offscreenCreating ??= chrome.offscreen.createDocument({
+      url: 'offscreen.html',
+      reasons: ['WORKERS'],
+      justification: 'Runs the on-device speech-to-text model for media without captions'
+    }).finally(() => {
+      this.offscreenCreating = null;
+    });
+    await this.offscreenCreating;
+  }
+
+  /**
+   * Serialize errors for sendResponse
+   */
+  toErrorPayload(error) {
+    if (error instanceof LLMError) return error.toJSON();
+    return { code: 'INTERNAL_ERROR', message: error?.message || String(error) };
+  }
+}
+
+new RecapBackground();
@@ -0,0 +1,201 @@
+/**
+ * Caption track reader for Video Recap Assistant
+ * Reads timestamped cues from a media element's TextTracks and from the
+ * WebVTT/SRT files referenced by its <track> children
+ */
+
+class CaptionTrackReader {
+  constructor({ loadTimeout = 3000 } = {}) {
+    this.loadTimeout = loadTimeout;
+    this.fileCache = new Map(); // track src -> parsed segments
+  }
+
+  /**
+   * Read caption cues for a media element as transcript segments
+   */
+  async readCues(mediaElement) {
+    const tracks = this.getCaptionTracks(mediaElement);
+    if (tracks.length === 0) return [];
+
+    for (const track of tracks) {
+      const segments = await this.readTextTrack(mediaElement, track);
+      if (segments.length > 0) {
+        console.log(`Read ${segments.length} cues from text track:`, track.label || track.language);
+        return segments;
+      }
+    }
+
+    // TextTrack cues never loaded (e.g. blocked by the player), fetch the files ourselves
+    for (const trackElement of this.getTrackElements(mediaElement)) {
+      try {
+        const segments = await this.fetchTrackFile(trackElement.src, mediaElement.crossOrigin);
+        if (segments.length > 0) {
+          console.log(`Parsed ${segments.length} cues from caption file:`, trackElement.src);
+          return segments;
+        }
+      } catch (error) {
+        console.warn('Could not load caption file:', trackElement.src, error);
+      }
+    }
+
+    return [];
+  }
+
+  /**
+   * Caption and subtitle TextTracks, best candidates first
+   */
+  getCaptionTracks(mediaElement) {
+    const tracks = Array.from(mediaElement.textTracks || [])
+      .filter(track => track.kind === 'captions' || track.kind === 'subtitles');
+
+    const preferredLanguage = (document.documentElement.lang || navigator.language || '')
+      .split('-')[0].toLowerCase();
+
+    const score = (track) =>
+      (track.mode === 'showing' ? 2 : 0) +
+      (preferredLanguage && track.language?.toLowerCase().startsWith(preferredLanguage) ? 1 : 0);
+
+    return tracks.sort((a, b) => score(b) - score(a));
+  }
+
+  /**
+   * <track> elements that point at a caption file
+   */
+  getTrackElements(mediaElement) {
+    return Array.from(mediaElement.querySelectorAll('track[src]'))
+      .filter(track => !track.kind || track.kind === 'captions' || track.kind === 'subtitles');
+  }
+
+  /**
+   * Convert a TextTrack's cues to segments, enabling it only while it's read
+   */
+  async readTextTrack(mediaElement, track) {
+    const trackElement = Array.from(mediaElement.querySelectorAll('track'))
+      .find(element => element.track === track);
+    const originalMode = track.mode;
+
+    if (originalMode === 'disabled') {
+      // "hidden" loads cues without rendering them over the video
+      track.mode = 'hidden';
+    }
+
+    try {
+      if ((!track.cues || track.cues.length === 0) && this.mayStillLoad(trackElement)) {
+        await this.waitForCues(trackElement);
+      }
+
+      return Array.from(track.cues || []).map(cue => ({
+        start: cue.startTime,
+        end: cue.endTime,
+        text: CaptionTrackReader.stripCueMarkup(cue.text || '')
+      })).filter(segment => segment.text);
+    } finally {
+      // Leave the track as the page had it, unless something else changed it meanwhile
+      if (originalMode === 'disabled' && track.mode === 'hidden') {
+        track.mode = 'disabled';
+      }
+    }
+  }
+
+  /**
+   * Whether waiting could bring in cues: only a <track> file that hasn't
+   * finished loading is worth waiting for
+   */
+  mayStillLoad(trackElement) {
+    if (!trackElement) return false; // In-band or script-made tracks have what they have
+    return trackElement.readyState === HTMLTrackElement.NONE || trackElement.readyState === HTMLTrackElement.LOADING;
+  }
+
+  /**
+   * Wait for a <track> file to load, giving up after loadTimeout
+   */
+  waitForCues(trackElement) {
+    return new Promise(resolve => {
+      const done = () => {
+        clearTimeout(timer);
+        trackElement.removeEventListener('load', done);
+        trackElement.removeEventListener('error', done);
+        resolve();
+      };
+      const timer = setTimeout(done, this.loadTimeout);
+
+      trackElement.addEventListener('load', done);
+      trackElement.addEventListener('error', done);
+    });
+  }
+
+  /**
+   * Fetch and parse a WebVTT or SRT caption file
+   * Fetched from the page's side, under its CORS rules, so only files the page
+   * itself could load are read; cross-origin files without CORS fail
+   * @param {string} src
+   * @param {string|null} crossOrigin - The media element's crossorigin attribute
+   */
+  async fetchTrackFile(src, crossOrigin = null) {
+    if (this.fileCache.has(src)) return this.fileCache.get(src);
+
+    const url = new URL(src, location.href);
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+      throw new Error(`Unsupported caption URL: ${url.protocol}`);
+    }
+
+    const response = await fetch(url, {
+      credentials: crossOrigin === 'use-credentials' ? 'include' : 'same-origin'
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const text = await response.text();
+
+    const segments = CaptionTrackReader.parseCaptionFile(text);
+    this.fileCache.set(src, segments);
+    return segments;
+  }
+
+  /**
+   * Parse WebVTT or SRT text into segments
+   * Both formats are blocks separated by blank lines with a "start --> end" line
+   */
+  static parseCaptionFile(text) {
+    const blocks = text
+      .replace(/^\uFEFF/, '')
+      .replace(/\r\n?/g, '\n')
+      .split(/\n{2,}/);
+
+    const segments = [];
+
+    for (const block of blocks) {
+      const lines = block.split('\n').filter(line => line.trim());
+      const timingIndex = lines.findIndex(line => line.includes('-->'));
+
+      // Skips the WEBVTT header and NOTE/STYLE/REGION blocks
+      if (timingIndex === -1) continue;
+
+      const [startText, endText] = lines[timingIndex].split('-->').map(part => part.trim().split(/\s+/)[0]);
+      const start = TranscriptSegments.parseTimestamp(startText);
+      const end = TranscriptSegments.parseTimestamp(endText);
+      if (start === null) continue;
+
+      const cueText = this.stripCueMarkup(lines.slice(timingIndex + 1).join('\n'));
+      if (cueText) {
+        segments.push({ start, end, text: cueText });
+      }
+    }
+
+    return segments;
+  }
+
+  /**
+   * Remove cue tags (<v Speaker>, <i>, <c.class>, <00:01.000>) and decode entities
+   */
+  static stripCueMarkup(text) {
+    return text
+      .replace(/<[^>]*>/g, '')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&amp;/g, '&')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+}
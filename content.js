@@ -3,12 +3,76 @@
  * Monitors audio/video elements and extracts transcripts when paused
  */
 
+// Popup and shortcut requests the top frame passes on to the child frame whose media is in use
+const FRAME_FORWARDED_ACTIONS = ['getCurrentSummary', 'recapNow', 'toggleOverlay', 'toggleSpeech', 'rewindToRecap', 'exportRecap'];
+const FRAME_ACTIVITY_RELAY_MS = 1000; // Top frame: pass input on to waiting frames at most this often
+const FRAME_OVERLAY_METHODS = ['showLoading', 'showSummary', 'updateSummary', 'showMessage', 'showNotice', 'setSpeechState', 'highlightSentence', 'focus', 'remove'];
+
+/**
+ * @typedef {Object} MediaState
+ * @property {HTMLMediaElement} element
+ * @property {string|null} source - Where this element's last transcript came from
+ * @property {LiveTranscriptBuffer} liveTranscript - Captions recorded while it played
+ * @property {AudioCaptureBuffer|null} audioCapture - Audio recorded for on-device transcription
+ * @property {{recap: Recap, mediaTime: number, window: {from: number, to: number}, segments: Array, createdAt: number}|null} lastRecap
+ * @property {{position: number, at: number}|null} lastPause - The last pause that was recapped
+ * @property {() => void} detach - Remove every listener and observer for the element
+ */
+
 class VideoRecapMonitor {
   constructor() {
-    this.monitoredElements = new Set();
-    this.summaryCache = new Map();
-    this.currentSummary = null;
-    this.overlayContainer = null;
+    this.mediaStates = new Map(); // element -> MediaState
+    this.currentSummary = null; // Recap last shown or badged
+    this.recapElement = null; // Media element that recap is about
+    this.settings = SettingsStore.defaults();
+    
+    // Child frames can't draw over their <iframe>, so the top frame draws their overlay
+    this.frameBridge = new FrameBridge();
+    const overlayCallbacks = {
+      onSpeak: () => this.toggleSpeech(),
+      onPauseSpeech: () => this.speech.togglePause(),
+      onSkipSpeech: () => this.speech.skip(),
+      onExport: (format) => this.exportFromOverlay(format),
+      onClose: () => this.removeOverlay(),
+      onSeek: (seconds) => this.seekTo(seconds)
+    };
+    this.overlay = IS_TOP_FRAME
+      ? new RecapOverlay(overlayCallbacks)
+      : new FrameOverlayProxy(this.frameBridge, overlayCallbacks);
+    this.frameOverlays = new Map(); // Top frame only: child frameId -> RecapOverlay
+    this.speech = new SpeechController({
+      onStateChange: (state) => this.overlay.setSpeechState(state),
+      onSentence: (sentence) => this.overlay.highlightSentence(sentence),
+      onError: () => this.showSpeechError()
+    });
+    this.activeFrameId = 0; // Top frame only: frame whose media was used last
+    this.waitingFrames = new Set(); // Top frame only: child frames with a pause waiting for the viewer
+    this.lastActivityRelay = 0;
+    this.localTranscriptionStatus = null; // Promise of whether this install has the Whisper model
+    this.localTranscriptionUnavailable = false;
+    
+    // Only the part of the transcript leading up to the pause is summarized:
+    // everything since the previous pause, capped at the last few minutes
+    this.recapWindow = {
+      mode: this.settings.windowMode,
+      maxSeconds: this.settings.windowMinutes * 60,
+      minSeconds: 60
+    };
+    this.captionTracks = new CaptionTrackReader();
+    
+    // What the popup shows about the latest recap
+    this.status = 'idle'; // idle | extracting | summarizing | done | no-transcript | error
+    this.lastExtraction = null; // { source, chars, segments }
+    this.lastActiveElement = null;
+    
+    // Decides when a pause is a real break and the viewer has come back
+    this.pauseTrigger = new PauseTriggerEngine({
+      getMinPauseMs: () => this.settings.minPauseSeconds * 1000,
+      isAdPlaying: (element) => transcriptAdapters.isAdPlaying(element),
+      onTrigger: (element) => this.handleMediaPause(element),
+      onActivity: () => this.relayActivity(),
+      onWaitingChange: (waiting) => this.reportWaiting(waiting)
+    });
     
     this.init();
   }
@@ -16,11 +80,16 @@ class VideoRecapMonitor {
   init() {
     console.log('Video Recap Assistant: Initializing content script');
     
-    // Monitor existing media elements
-    this.scanForMediaElements();
+    // Load user settings and follow changes made in the options page
+    SettingsStore.load().then(settings => this.applySettings(settings));
+    SettingsStore.onChanged(settings => this.applySettings(settings));
     
-    // Set up mutation observer for dynamically added media
-    this.setupMutationObserver();
+    // Monitor existing and dynamically added media, including inside open shadow roots
+    this.mediaDiscovery = new MediaDiscovery(
+      element => this.attachMediaListeners(element),
+      element => this.detachMediaListeners(element)
+    );
+    this.mediaDiscovery.start();
     
     // Listen for messages from popup/background
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
@@ -30,40 +99,33 @@ class VideoRecapMonitor {
   }
 
   /**
-   * Scan the page for existing audio/video elements
+   * Apply user settings at runtime
    */
-  scanForMediaElements() {
-    const mediaElements = document.querySelectorAll('audio, video');
-    console.log(`Found ${mediaElements.length} media elements`);
-    
-    mediaElements.forEach(element => this.attachMediaListeners(element));
-  }
-
-  /**
-   * Set up mutation observer to catch dynamically added media elements
-   */
-  setupMutationObserver() {
-    const observer = new MutationObserver((mutations) => {
-      mutations.forEach((mutation) => {
-        mutation.addedNodes.forEach((node) => {
-          if (node.nodeType === Node.ELEMENT_NODE) {
-            // Check if the added node is a media element
-            if (node.tagName === 'AUDIO' || node.tagName === 'VIDEO') {
-              this.attachMediaListeners(node);
-            }
-            
-            // Check for media elements within the added node
-            const mediaElements = node.querySelectorAll?.('audio, video');
-            mediaElements?.forEach(element => this.attachMediaListeners(element));
-          }
-        });
-      });
-    });
-
-    observer.observe(document.body, {
-      childList: true,
-      subtree: true
+  applySettings(settings) {
+    this.settings = settings;
+    const announceOnly = settings.triggerMode === 'announce';
+    this.overlay.setTheme(settings.theme);
+    this.overlay.setAnnounceOnly(announceOnly);
+    this.frameOverlays.forEach(overlay => {
+      overlay.setTheme(settings.theme);
+      overlay.setAnnounceOnly(announceOnly);
     });
+    this.recapWindow = {
+      ...this.recapWindow,
+      mode: settings.windowMode,
+      maxSeconds: settings.windowMinutes * 60
+    };
+    
+    for (const state of this.mediaStates.values()) {
+      state.liveTranscript.maxSeconds = this.recapWindow.maxSeconds;
+      
+      if (settings.localTranscription) {
+        if (!state.element.paused) this.startAudioCapture(state);
+      } else {
+        state.audioCapture?.stop();
+        state.audioCapture = null;
+      }
+    }
   }
 
   /**
@@ -71,451 +133,583 @@ class VideoRecapMonitor {
    */
   attachMediaListeners(element) {
     // Avoid duplicate listeners
-    if (this.monitoredElements.has(element)) return;
+    if (this.mediaStates.has(element)) return;
     
-    this.monitoredElements.add(element);
     console.log('Monitoring new media element:', element.tagName);
+    const controller = new AbortController();
+    const { signal } = controller;
 
-    // Listen for pause events
+    // Pauses go through the trigger engine, which calls handleMediaPause when the viewer returns
+    const unwatch = this.pauseTrigger.watch(element);
+    
+    /** @type {MediaState} */
+    const state = {
+      element,
+      source: null,
+      // Record captions for as long as the element plays
+      liveTranscript: new LiveTranscriptBuffer(element, {
+        maxSeconds: this.recapWindow.maxSeconds,
+        captionSource: transcriptAdapters.getLiveCaptionSource(element)
+      }),
+      audioCapture: null,
+      lastRecap: null,
+      lastPause: null,
+      detach: () => {
+        controller.abort();
+        unwatch();
+        state.liveTranscript.stop();
+        state.audioCapture?.stop();
+      }
+    };
+    this.mediaStates.set(element, state);
+    state.liveTranscript.start();
+    
+    // Only play and pause the viewer asked for mark the element as in use,
+    // so autoplaying ads and previews don't take over popup requests
     element.addEventListener('pause', () => {
-      this.handleMediaPause(element);
-    });
+      if (navigator.userActivation?.isActive) this.markActive(element);
+    }, { signal });
+    
+    element.addEventListener('play', () => {
+      if (navigator.userActivation?.isActive) this.markActive(element);
+      this.startAudioCapture(state);
+    }, { signal });
 
-    // Clean up when element is removed
+    // New media in the same element: what was recorded for the old one no longer applies
     element.addEventListener('emptied', () => {
-      this.monitoredElements.delete(element);
+      state.liveTranscript.clear();
+      state.audioCapture?.stop();
+      state.audioCapture = null;
+      state.lastRecap = null;
+      state.lastPause = null;
+    }, { signal });
+  }
+
+  /**
+   * Forget a media element that left the page
+   */
+  detachMediaListeners(element) {
+    // Elements moved elsewhere in the page are reported as removed, then added
+    if (element.isConnected) return;
+    
+    const state = this.mediaStates.get(element);
+    if (!state) return;
+    
+    state.detach();
+    this.mediaStates.delete(element);
+    if (this.lastActiveElement === element) {
+      this.lastActiveElement = null;
+    }
+    console.log('Stopped monitoring removed media element:', element.tagName);
+  }
+
+  /**
+   * Record a playing element's audio so it can be transcribed if it has no captions
+   */
+  startAudioCapture(state) {
+    if (!this.settings.localTranscription || this.localTranscriptionUnavailable) return;
+    if (!SettingsStore.isSiteEnabled(this.settings, this.getPageHostname())) return;
+    
+    this.checkLocalTranscription().then(available => {
+      // Settings or the element may have changed while the background answered
+      if (!available || !this.settings.localTranscription || this.mediaStates.get(state.element) !== state) return;
+      
+      state.audioCapture ??= new AudioCaptureBuffer(state.element, {
+        maxSeconds: this.settings.windowMinutes * 60,
+        onUnavailable: () => this.handleLocalTranscriptionUnavailable()
+      });
+      state.audioCapture.start();
     });
   }
 
   /**
-   * Handle media pause event
+   * Ask the background once whether the Whisper build and model are installed,
+   * so no audio is captured and sent off when they aren't
+   */
+  checkLocalTranscription() {
+    this.localTranscriptionStatus ??= chrome.runtime.sendMessage({ action: 'getLocalTranscriptionStatus' })
+      .then(response => response?.available !== false, () => true)
+      .then(available => {
+        if (!available) this.handleLocalTranscriptionUnavailable();
+        return available;
+      });
+    return this.localTranscriptionStatus;
+  }
+
+  /**
+   * Stop capturing everywhere; recaps then explain that the model is missing
+   */
+  handleLocalTranscriptionUnavailable() {
+    if (!this.localTranscriptionUnavailable) {
+      console.warn('Local transcription is on, but the Whisper model is not installed');
+    }
+    this.localTranscriptionUnavailable = true;
+    
+    for (const state of this.mediaStates.values()) {
+      state.audioCapture?.stop();
+      state.audioCapture = null;
+    }
+  }
+
+  /**
+   * Handle a real pause once the viewer has come back to it
    */
   async handleMediaPause(element) {
+    if (!SettingsStore.isSiteEnabled(this.settings, this.getPageHostname())) return;
+    
     console.log('Media paused, extracting transcript...');
+    const silent = this.settings.triggerMode === 'badge';
+    await this.createRecap(element, { silent, resume: !silent && this.settings.resumeAfterRecap });
+  }
+
+  /**
+   * Hostname of the page the user is on; embedded players check the site list against it
+   */
+  getPageHostname() {
+    const origins = location.ancestorOrigins;
+    if (!IS_TOP_FRAME && origins?.length > 0) {
+      try {
+        return new URL(origins[origins.length - 1]).hostname;
+      } catch {
+        // Opaque origin (sandboxed frame), fall back to our own
+      }
+    }
+    return location.hostname;
+  }
+
+  /**
+   * Remember the media element in use, and tell the top frame it is in this frame
+   */
+  markActive(element) {
+    this.lastActiveElement = element;
+    this.reportActivity();
+  }
+
+  /**
+   * Remember which frame's media is in use so popup requests reach it
+   */
+  reportActivity() {
+    if (IS_TOP_FRAME) {
+      this.activeFrameId = 0;
+      return;
+    }
     
-    // Show loading indicator
-    this.showLoadingIndicator();
+    this.frameBridge.sendToTop({ action: 'frameActivity' }).catch(() => {
+      // Top frame has no content script (e.g. a restricted page)
+    });
+  }
+
+  /**
+   * Tell the top frame whether a pause here is waiting for the viewer to come back
+   */
+  reportWaiting(waiting) {
+    if (IS_TOP_FRAME) return;
+    
+    this.frameBridge.sendToTop({ action: 'framePauseWaiting', waiting }).catch(() => {
+      // Top frame has no content script (e.g. a restricted page)
+    });
+  }
+
+  /**
+   * Top frame: pass input on to child frames with a waiting pause
+   * Input over the rest of the page never reaches a child frame's listeners
+   */
+  relayActivity() {
+    if (!IS_TOP_FRAME || this.waitingFrames.size === 0) return;
+    
+    const now = Date.now();
+    if (now - this.lastActivityRelay < FRAME_ACTIVITY_RELAY_MS) return;
+    this.lastActivityRelay = now;
+    
+    for (const frameId of this.waitingFrames) {
+      this.frameBridge.sendToFrame(frameId, { action: 'viewerActivity' }).catch(() => {
+        this.waitingFrames.delete(frameId);
+      });
+    }
+  }
+
+  /**
+   * Draw a child frame's overlay over its <iframe>
+   */
+  handleFrameOverlay({ sourceFrameId, frameToken, method, args = [] }) {
+    if (!FRAME_OVERLAY_METHODS.includes(method)) return;
+    
+    let overlay = this.frameOverlays.get(sourceFrameId);
+    if (!overlay) {
+      const sendEvent = (event, value) => {
+        this.frameBridge.sendToFrame(sourceFrameId, { action: 'frameOverlayEvent', event, value }).catch(error => {
+          console.error('Error sending overlay event to frame:', error);
+        });
+      };
+      overlay = new RecapOverlay({
+        onSpeak: () => sendEvent('speak'),
+        onPauseSpeech: () => sendEvent('pauseSpeech'),
+        onSkipSpeech: () => sendEvent('skipSpeech'),
+        onExport: (format) => sendEvent('export', format),
+        onClose: () => sendEvent('close'),
+        onSeek: (seconds) => sendEvent('seek', seconds)
+      });
+      overlay.setTheme(this.settings.theme);
+      overlay.setAnnounceOnly(this.settings.triggerMode === 'announce');
+      this.frameOverlays.set(sourceFrameId, overlay);
+    }
+    
+    overlay.setAnchor(this.frameBridge.getFrameElement(frameToken));
+    overlay[method](...args);
+  }
+
+  /**
+   * Recap the currently playing media without waiting for a pause
+   */
+  async recapNow() {
+    const element = this.findActiveMediaElement();
+    if (!element) {
+      return { success: false, error: I18n.t('noMediaFound') };
+    }
+    
+    // Asked for from the keyboard or popup, so the recap takes focus when it appears
+    this.overlay.focus();
+    await this.createRecap(element);
+    return { success: true };
+  }
+
+  /**
+   * The playing media element, else the one used most recently
+   */
+  findActiveMediaElement() {
+    const elements = Array.from(this.mediaStates.keys()).filter(element => element.isConnected);
+    return elements.find(element => !element.paused && !element.ended) ||
+      (elements.includes(this.lastActiveElement) ? this.lastActiveElement : null) ||
+      elements.find(element => element.currentTime > 0) ||
+      elements[0] ||
+      null;
+  }
+
+  /**
+   * Extract, summarize and display a recap for a media element
+   * Silent recaps skip the overlay and only badge the toolbar icon;
+   * with resume, the recap is read aloud and then playback picks up again
+   */
+  async createRecap(element, { silent = false, resume = false } = {}) {
+    const state = this.mediaStates.get(element);
+    if (!state) return;
+    
+    const pausedAt = element.currentTime;
+    const transcriptWindow = this.getTranscriptWindow(element, pausedAt);
+    state.lastPause = { position: pausedAt, at: Date.now() };
+    // Watch for play from the pause on: playing while the recap is generated cancels the resume too
+    let playWatch = resume ? this.watchForPlay(element) : null;
+    
+    // A recap marks the element as in use, even when it started playing on its own
+    this.markActive(element);
+    
+    // Place the overlay on the player this recap is about
+    this.recapElement = element;
+    this.overlay.setAnchor(element);
+    
+    // Show loading indicator, and stop reading out the previous recap
+    if (!silent) {
+      this.stopSpeech();
+      this.showLoadingIndicator();
+    }
+    this.status = 'extracting';
     
     try {
-      // Extract transcript from DOM
-      const transcript = this.extractTranscript(element);
+      // Extract the transcript leading up to the pause position
+      const extracted = await this.extractTranscript(element, transcriptWindow);
       
-      if (!transcript) {
-        this.showFallbackMessage();
-        return;
-      }
-
-      // Check cache first
-      const cacheKey = this.generateCacheKey(transcript);
-      if (this.summaryCache.has(cacheKey)) {
-        console.log('Using cached summary');
-        this.displaySummary(this.summaryCache.get(cacheKey));
+      if (!extracted) {
+        this.status = 'no-transcript';
+        if (!silent) this.showFallbackMessage();
         return;
       }
+      const transcript = extracted.text;
 
-      // Generate summary
-      const summary = await this.generateSummary(transcript);
+      // Generate summary, rendering each part as it streams in
+      // (the background answers repeats from its cache)
+      this.status = 'summarizing';
+      const summary = await this.generateSummary(transcript, extracted.segments, extracted.language, (partial) => {
+        if (!silent) this.displayPartialSummary(partial);
+      });
       
       if (summary) {
-        // Cache the summary
-        this.summaryCache.set(cacheKey, summary);
-        this.displaySummary(summary);
+        state.lastRecap = {
+          recap: summary,
+          mediaTime: pausedAt,
+          window: transcriptWindow,
+          segments: extracted.segments,
+          createdAt: Date.now()
+        };
+        this.status = 'done';
+        this.showRecap(summary, { silent, streamed: true });
+        
+        if (resume) {
+          this.recapThenResume(element, summary, playWatch);
+          playWatch = null; // Stopped once reading ends
+        } else if (!silent && this.settings.triggerMode === 'announce' && !this.speech.isActive) {
+          // Screen-reader mode has no overlay to read, so read the recap aloud
+          this.toggleSpeech();
+        }
         
         // Store in extension storage for popup access
-        this.storeSummary(summary, transcript);
+        this.storeSummary(summary, extracted, transcriptWindow, pausedAt);
       } else {
-        this.showErrorMessage();
+        this.status = 'error';
+        if (!silent) this.showErrorMessage();
       }
       
     } catch (error) {
       console.error('Error processing media pause:', error);
-      this.showErrorMessage();
+      this.status = 'error';
+      if (!silent) this.showErrorMessage(error.code);
     } finally {
       this.hideLoadingIndicator();
+      playWatch?.stop();
     }
   }
 
   /**
-   * Extract transcript from various possible DOM locations
+   * Show a finished recap in the overlay, or badge the toolbar icon in silent mode
    */
-  extractTranscript(mediaElement) {
-    console.log('Extracting transcript...');
-    
-    // Common transcript selectors for different platforms
-    const transcriptSelectors = [
-      // YouTube
-      '.ytd-transcript-segment-renderer',
-      '.ytd-transcript-body-renderer .segment-text',
-      
-      // Generic captions/subtitles
-      '[class*="caption"]',
-      '[class*="subtitle"]',
-      '[class*="transcript"]',
-      '.captions',
-      '.subtitles',
-      
-      // HTML5 track elements
-      'track[kind="captions"]',
-      'track[kind="subtitles"]',
-      
-      // ARIA labels and descriptions
-      '[aria-describedby]',
-      '.sr-only',
-      '.screen-reader-text'
-    ];
+  showRecap(summary, { silent = false, streamed = false } = {}) {
+    if (silent) {
+      this.currentSummary = summary;
+      chrome.runtime.sendMessage({ action: 'recapReady' }).catch(error => {
+        console.error('Error badging recap:', error);
+      });
+    } else if (streamed) {
+      this.completeSummary(summary);
+    } else {
+      this.displaySummary(summary);
+    }
+  }
 
-    let transcript = '';
+  /**
+   * Work out which part of the media the recap should cover
+   */
+  getTranscriptWindow(element, pausedAt) {
+    const { mode, maxSeconds, minSeconds } = this.recapWindow;
+    const to = Number.isFinite(pausedAt) ? pausedAt : Infinity;
+    let from = Math.max(0, to - maxSeconds);
 
-    // Try each selector
-    for (const selector of transcriptSelectors) {
-      const elements = document.querySelectorAll(selector);
-      if (elements.length > 0) {
-        console.log(`Found transcript elements with selector: ${selector}`);
-        
-        transcript = Array.from(elements)
-          .map(el => el.textContent?.trim())
-          .filter(text => text && text.length > 10) // Filter out very short text
-          .join(' ');
-          
-        if (transcript.length > 50) { // Minimum viable transcript length
-          break;
-        }
-      }
+    const previousPause = this.mediaStates.get(element)?.lastPause?.position;
+    if (mode === 'sinceLastPause' && previousPause !== undefined && previousPause < to) {
+      // Ignore the previous pause if it would leave too little to recap
+      from = Math.max(from, Math.min(previousPause, to - minSeconds));
     }
 
-    // Try to find transcript in nearby elements
-    if (!transcript) {
-      transcript = this.searchNearbyElements(mediaElement);
-    }
+    return { from: Math.max(0, from), to };
+  }
 
-    // Clean up transcript
-    if (transcript) {
-      transcript = transcript
-        .replace(/\s+/g, ' ') // Normalize whitespace
-        .replace(/\[\d+:\d+\]/g, '') // Remove timestamps like [1:23]
-        .replace(/^\d+:\d+/gm, '') // Remove line-starting timestamps
-        .trim();
-    }
+  /**
+   * Extract the transcript for the given time window
+   * Returns { text, segments, language } or null when there is too little to summarize,
+   * or nothing that looks enough like a transcript
+   */
+  async extractTranscript(mediaElement, transcriptWindow = {}) {
+    console.log('Extracting transcript...', transcriptWindow);
+    
+    const { source, segments, confidence } = await this.collectTranscriptSegments(mediaElement);
+    const state = this.mediaStates.get(mediaElement);
+    if (state) state.source = source;
+    const windowed = TranscriptSegments.window(segments, { ...transcriptWindow, duration: mediaElement.duration });
+    const transcript = TranscriptSegments.toText(windowed);
+    const language = await I18n.detectLanguage(transcript);
+    
+    this.lastExtraction = {
+      source,
+      chars: transcript.length,
+      segments: windowed.length,
+      confidence,
+      language
+    };
 
-    console.log(`Extracted transcript (${transcript.length} chars):`, 
+    console.log(`Extracted transcript (${transcript.length} chars, ` +
+                `${windowed.length}/${segments.length} segments, confidence ${confidence}, language ${language || 'unknown'}):`, 
                 transcript.substring(0, 200) + '...');
     
-    return transcript.length > 50 ? transcript : null;
+    if (confidence < TRANSCRIPT_MIN_CONFIDENCE) return null;
+    return transcript.length > TRANSCRIPT_MIN_CHARS ? { text: transcript, segments: windowed, language } : null;
+  }
+
+  /**
+   * Collect transcript segments, most reliable source first
+   * Each source is cleaned and rated by TranscriptQuality; the first confident one wins,
+   * else the best of the rest is returned so callers can report what was found
+   * Returns { source, segments, confidence } where source names where they came from
+   */
+  async collectTranscriptSegments(mediaElement) {
+    const state = this.mediaStates.get(mediaElement);
+    const candidates = [
+      // Site adapters know where the full transcript lives
+      async () => {
+        const site = await transcriptAdapters.extract(mediaElement);
+        return { source: site.adapter, segments: site.segments };
+      },
+      // Caption tracks carry real cue timings, so prefer them over scraped DOM text
+      async () => ({ source: 'captions', segments: await this.captionTracks.readCues(mediaElement) }),
+      // Captions recorded while it played cover more than what is on screen now
+      async () => ({ source: 'live', segments: state?.liveTranscript.getSegments() || [] }),
+      // Generic caption/transcript selectors
+      async () => {
+        const generic = await transcriptAdapters.extractFallback(mediaElement);
+        return { source: generic.adapter, segments: generic.segments };
+      },
+      // Transcribe the audio captured while it played
+      async () => ({ source: 'speech', segments: state?.audioCapture ? await state.audioCapture.getSegments() : [] }),
+      // Try to find transcript in nearby elements
+      async () => {
+        const nearby = this.searchNearbyElements(mediaElement);
+        return nearby
+          ? { source: 'nearby', segments: TranscriptSegments.fromText(TranscriptQuality.cleanLines(nearby.text)), proximity: nearby.proximity }
+          : { source: null, segments: [] };
+      }
+    ];
+
+    let best = { source: null, segments: [], confidence: 0 };
+    for (const candidate of candidates) {
+      const { source, segments, proximity } = await candidate();
+      if (!source || segments.length === 0) continue;
+
+      const { segments: cleaned, confidence, removed } = TranscriptQuality.assess(segments, { source, proximity });
+      if (removed > 0) console.log(`Dropped ${removed} boilerplate or repeated lines from ${source} transcript`);
+      if (confidence >= TRANSCRIPT_MIN_CONFIDENCE) return { source, segments: cleaned, confidence };
+
+      console.log(`Skipping ${source} transcript, confidence ${confidence}`);
+      if (confidence > best.confidence) best = { source, segments: cleaned, confidence };
+    }
+
+    return best;
   }
 
   /**
    * Search for transcript in elements near the media element
+   * Each enclosing element is a candidate, rated on how speech-like its text is;
+   * the further out, the less likely its text belongs to this player
+   * Returns { text, proximity } or null
    */
   searchNearbyElements(mediaElement) {
     const searchRadius = 3; // How many parent/sibling levels to search
     let currentElement = mediaElement;
+    let best = null;
     
-    // Search parent elements
+    // Search parent elements, stopping before any that hold another player
     for (let i = 0; i < searchRadius; i++) {
       if (!currentElement.parentElement) break;
       currentElement = currentElement.parentElement;
+      if (TranscriptAdapterRegistry.containsOtherMedia(currentElement, mediaElement)) break;
       
       const textContent = this.extractTextFromElement(currentElement);
-      if (textContent && textContent.length > 100) {
-        return textContent;
+      if (!textContent || textContent.length <= 100) continue;
+      
+      const proximity = 1 - i * 0.2;
+      const score = TranscriptQuality.scoreElement(currentElement, textContent, mediaElement) * proximity;
+      if (!best || score > best.score) {
+        best = { text: textContent, proximity, score };
       }
     }
     
-    return null;
+    return best && { text: best.text, proximity: best.proximity };
   }
 
   /**
    * Extract clean text content from an element
+   * innerText skips scripts, styles and hidden elements, and keeps line breaks
+   * so boilerplate lines can be told apart from the rest
    */
   extractTextFromElement(element) {
-    // Clone element to avoid modifying original
-    const clone = element.cloneNode(true);
-    
-    // Remove script and style elements
-    clone.querySelectorAll('script, style, noscript').forEach(el => el.remove());
-    
-    return clone.textContent?.trim() || '';
-  }
-
-  /**
-   * Generate cache key for transcript
-   */
-  generateCacheKey(transcript) {
-    // Simple hash function for caching
-    let hash = 0;
-    for (let i = 0; i < transcript.length; i++) {
-      const char = transcript.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32-bit integer
-    }
-    return hash.toString();
+    return (element.innerText ?? element.textContent)?.trim() || '';
   }
 
   /**
    * Send transcript to AI service for summarization
+   * Resolves to a Recap (see recap-format.js). Tokens are streamed over a
+   * port; onPartial receives the fields parsed so far. language is the
+   * transcript's detected language, '' if unknown
    */
-  async generateSummary(transcript) {
+  async generateSummary(transcript, segments, language, onPartial) {
     console.log('Generating summary for transcript...');
     
     try {
       // Send to background script which will handle the API call
-      const response = await chrome.runtime.sendMessage({
-        action: 'generateSummary',
-        transcript: transcript
+      return await new Promise((resolve, reject) => {
+        const port = chrome.runtime.connect({ name: 'recap-stream' });
+        let text = '';
+        let settled = false;
+        
+        const finish = (callback, value) => {
+          if (settled) return;
+          settled = true;
+          port.disconnect();
+          callback(value);
+        };
+        
+        port.onMessage.addListener((message) => {
+          if (message.type === 'token') {
+            text += message.text;
+            const partial = RecapFormat.parsePartial(text);
+            if (RecapFormat.hasContent(partial)) onPartial?.(partial);
+          } else if (message.type === 'done') {
+            finish(resolve, RecapFormat.hasContent(message.recap) ? message.recap : null);
+          } else if (message.type === 'error') {
+            const error = new Error(message.error.message);
+            error.code = message.error.code;
+            finish(reject, error);
+          }
+        });
+        
+        port.onDisconnect.addListener(() => {
+          // Background worker went away mid-stream
+          finish(reject, new Error('Summary stream disconnected'));
+        });
+        
+        port.postMessage({ action: 'generateSummary', transcript, segments, language });
       });
-      
-      return response.summary;
     } catch (error) {
       console.error('Error generating summary:', error);
+      if (error.code) throw error; // Let the caller show what went wrong
       return null;
     }
   }
 
+  /**
+   * Show a summary that is still streaming in
+   */
+  displayPartialSummary(recap) {
+    // First tokens replace the loading indicator with the recap overlay
+    this.currentSummary = recap;
+    this.overlay.updateSummary(recap);
+  }
+
+  /**
+   * Show the final summary, reusing the overlay it streamed into
+   */
+  completeSummary(summary) {
+    if (!this.overlay.isStreaming) {
+      this.displaySummary(summary);
+      return;
+    }
+    
+    this.currentSummary = summary;
+    this.overlay.updateSummary(summary, { final: true });
+  }
+
   /**
    * Display summary in an overlay
    */
   displaySummary(summary) {
     this.currentSummary = summary;
     
-    // Remove existing overlay
+    // Replace any existing overlay (and stop reading the old recap)
     this.removeOverlay();
-    
-    // Create overlay container
-    this.overlayContainer = document.createElement('div');
-    this.overlayContainer.id = 'video-recap-overlay';
-    this.overlayContainer.innerHTML = `
-      <div class="recap-header">
-        <h3>📝 Video Recap</h3>
-        <div class="header-controls">
-          <button class="speak-btn" title="Read summary aloud">🔊</button>
-          <button class="close-btn" onclick="this.parentElement.parentElement.parentElement.remove()">×</button>
-        </div>
-      </div>
-      <div class="recap-content">
-        <p>${summary}</p>
-      </div>
-      <div class="recap-footer">
-        <small>Generated by Video Recap Assistant</small>
-      </div>
-    `;
-    
-    // Apply styles
-    this.applyOverlayStyles();
-    
-    // Add speech functionality
-    this.setupSpeechControls();
-    
-    // Add to page
-    document.body.appendChild(this.overlayContainer);
-    
-    // Auto-hide after 15 seconds
-    setTimeout(() => {
-      if (this.overlayContainer) {
-        this.overlayContainer.style.opacity = '0.7';
-      }
-    }, 15000);
-  }
-
-  /**
-   * Apply CSS styles to the overlay
-   */
-  applyOverlayStyles() {
-    if (!this.overlayContainer) return;
-    
-    const styles = `
-      position: fixed;
-      top: 20px;
-      right: 20px;
-      width: 350px;
-      max-width: calc(100vw - 40px);
-      background: #ffffff;
-      border: 1px solid #e0e0e0;
-      border-radius: 12px;
-      box-shadow: 0 8px 32px rgba(0, 0, 0, 0.12);
-      z-index: 2147483647;
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-      font-size: 14px;
-      line-height: 1.5;
-      transition: opacity 0.3s ease;
-      backdrop-filter: blur(10px);
-    `;
-    
-    this.overlayContainer.style.cssText = styles;
-    
-    // Style header
-    const header = this.overlayContainer.querySelector('.recap-header');
-    if (header) {
-      header.style.cssText = `
-        display: flex;
-        justify-content: space-between;
-        align-items: center;
-        padding: 16px 20px 12px;
-        border-bottom: 1px solid #f0f0f0;
-        margin: 0;
-      `;
-      
-      const h3 = header.querySelector('h3');
-      if (h3) {
-        h3.style.cssText = `
-          margin: 0;
-          font-size: 16px;
-          font-weight: 600;
-          color: #333;
-          flex-grow: 1;
-        `;
-      }
-      
-      const headerControls = header.querySelector('.header-controls');
-      if (headerControls) {
-        headerControls.style.cssText = `
-          display: flex;
-          gap: 8px;
-          align-items: center;
-        `;
-      }
-      
-      const speakBtn = header.querySelector('.speak-btn');
-      if (speakBtn) {
-        speakBtn.style.cssText = `
-          background: none;
-          border: none;
-          font-size: 16px;
-          cursor: pointer;
-          color: #666;
-          padding: 4px;
-          width: 28px;
-          height: 28px;
-          display: flex;
-          align-items: center;
-          justify-content: center;
-          border-radius: 4px;
-          transition: all 0.2s ease;
-        `;
-        
-        speakBtn.addEventListener('mouseenter', () => {
-          speakBtn.style.backgroundColor = '#f5f5f5';
-          speakBtn.style.transform = 'scale(1.05)';
-        });
-        
-        speakBtn.addEventListener('mouseleave', () => {
-          speakBtn.style.backgroundColor = 'transparent';
-          speakBtn.style.transform = 'scale(1)';
-        });
-      }
-      
-      const closeBtn = header.querySelector('.close-btn');
-      if (closeBtn) {
-        closeBtn.style.cssText = `
-          background: none;
-          border: none;
-          font-size: 20px;
-          cursor: pointer;
-          color: #666;
-          padding: 0;
-          width: 24px;
-          height: 24px;
-          display: flex;
-          align-items: center;
-          justify-content: center;
-          border-radius: 4px;
-        `;
-        
-        closeBtn.addEventListener('mouseenter', () => {
-          closeBtn.style.backgroundColor = '#f5f5f5';
-        });
-        
-        closeBtn.addEventListener('mouseleave', () => {
-          closeBtn.style.backgroundColor = 'transparent';
-        });
-      }
-    }
-    
-    // Style content
-    const content = this.overlayContainer.querySelector('.recap-content');
-    if (content) {
-      content.style.cssText = `
-        padding: 16px 20px;
-        color: #444;
-        max-height: 300px;
-        overflow-y: auto;
-      `;
-      
-      const p = content.querySelector('p');
-      if (p) {
-        p.style.cssText = `
-          margin: 0;
-          line-height: 1.6;
-        `;
-      }
-    }
-    
-    // Style footer
-    const footer = this.overlayContainer.querySelector('.recap-footer');
-    if (footer) {
-      footer.style.cssText = `
-        padding: 8px 20px 16px;
-        text-align: center;
-        border-top: 1px solid #f0f0f0;
-      `;
-      
-      const small = footer.querySelector('small');
-      if (small) {
-        small.style.cssText = `
-          color: #888;
-          font-size: 12px;
-        `;
-      }
-    }
+    this.overlay.showSummary(summary);
   }
 
   /**
    * Show loading indicator
    */
   showLoadingIndicator() {
-    this.removeOverlay();
-    
-    this.overlayContainer = document.createElement('div');
-    this.overlayContainer.id = 'video-recap-overlay';
-    this.overlayContainer.innerHTML = `
-      <div class="recap-header">
-        <h3>🤔 Analyzing content...</h3>
-      </div>
-      <div class="recap-content">
-        <div class="loading-spinner"></div>
-        <p>Generating your recap...</p>
-      </div>
-    `;
-    
-    this.applyOverlayStyles();
-    
-    // Add spinner styles
-    const spinner = this.overlayContainer.querySelector('.loading-spinner');
-    if (spinner) {
-      spinner.style.cssText = `
-        width: 24px;
-        height: 24px;
-        border: 3px solid #f3f3f3;
-        border-top: 3px solid #007bff;
-        border-radius: 50%;
-        animation: spin 1s linear infinite;
-        margin: 0 auto 12px;
-      `;
-      
-      // Add keyframe animation
-      if (!document.querySelector('#recap-spinner-styles')) {
-        const style = document.createElement('style');
-        style.id = 'recap-spinner-styles';
-        style.textContent = `
-          @keyframes spin {
-            0% { transform: rotate(0deg); }
-            100% { transform: rotate(360deg); }
-          }
-        `;
-        document.head.appendChild(style);
-      }
-    }
-    
-    document.body.appendChild(this.overlayContainer);
+    this.overlay.showLoading();
   }
 
   /**
@@ -529,216 +723,229 @@ class VideoRecapMonitor {
    * Show fallback message when no transcript is found
    */
   showFallbackMessage() {
-    this.displayMessage(
-      '🔍 No Transcript Found',
-      'We couldn\'t find any transcript or captions for this content. The recap feature works best with videos that have available transcripts or captions.',
-      'info'
-    );
+    let message = I18n.t('noTranscriptEnableLocal');
+    if (this.settings.localTranscription) {
+      message = I18n.t(this.localTranscriptionUnavailable ? 'noTranscriptLocalUnavailable' : 'noTranscriptLocal');
+    }
+    
+    // Text was found but didn't look like a transcript (comments, menus, image captions)
+    if (this.lastExtraction?.source && this.lastExtraction.confidence < TRANSCRIPT_MIN_CONFIDENCE) {
+      message = I18n.t('noTranscriptLowConfidence');
+    }
+    
+    this.displayMessage(I18n.t('noTranscriptTitle'), message, 'info');
   }
 
   /**
-   * Show error message
+   * Show error message, explaining the background's error code when there is one
    */
-  showErrorMessage() {
-    this.displayMessage(
-      '❌ Error',
-      'Sorry, we couldn\'t generate a recap at this time. Please try again later.',
-      'error'
-    );
+  showErrorMessage(code) {
+    const messages = {
+      NOT_CONFIGURED: 'errorNotConfigured',
+      AUTH_FAILED: 'errorAuthFailed',
+      RATE_LIMITED: 'errorRateLimited',
+      TIMEOUT: 'errorTimeout',
+      NETWORK_ERROR: 'errorNetwork',
+      INVALID_REQUEST: 'errorInvalidRequest'
+    };
+    
+    this.displayMessage(I18n.t('errorTitle'), I18n.t(messages[code] || 'errorGeneric'), 'error');
   }
 
   /**
    * Display a generic message in the overlay
    */
   displayMessage(title, message, type = 'info') {
-    this.removeOverlay();
+    this.overlay.showMessage(title, message, type);
+  }
+
+  /**
+   * Jump the recapped media to a chapter
+   */
+  seekTo(seconds) {
+    const element = this.recapElement;
+    if (!element?.isConnected || !Number.isFinite(seconds)) return;
     
-    this.overlayContainer = document.createElement('div');
-    this.overlayContainer.id = 'video-recap-overlay';
-    this.overlayContainer.innerHTML = `
-      <div class="recap-header">
-        <h3>${title}</h3>
-        <button class="close-btn" onclick="this.parentElement.parentElement.remove()">×</button>
-      </div>
-      <div class="recap-content">
-        <p>${message}</p>
-      </div>
-    `;
-    
-    this.applyOverlayStyles();
-    
-    // Apply type-specific styling
-    if (type === 'error') {
-      this.overlayContainer.style.borderColor = '#ff6b6b';
-    } else if (type === 'info') {
-      this.overlayContainer.style.borderColor = '#4dabf7';
+    element.currentTime = Math.max(0, Math.min(seconds, element.duration || seconds));
+  }
+
+  /**
+   * Jump the recapped media back to where the recapped section starts
+   */
+  rewindToRecap() {
+    const from = this.mediaStates.get(this.recapElement)?.lastRecap?.window.from;
+    if (from === undefined) {
+      return { success: false, error: I18n.t('noRecapToRewind') };
+    }
+
+    this.seekTo(from);
+    return { success: true };
+  }
+
+  /**
+   * Export the current recap as a file (see RecapExport for the formats)
+   * With download off, only the file's content is returned, e.g. for the popup to copy
+   */
+  async exportRecap(format, { download = true } = {}) {
+    if (!this.currentSummary) {
+      return { success: false, error: I18n.t('noRecapToExport') };
     }
     
-    document.body.appendChild(this.overlayContainer);
+    const lastRecap = this.mediaStates.get(this.recapElement)?.lastRecap;
+    let file;
+    try {
+      file = RecapExport.build(format, {
+        title: document.title,
+        url: location.href,
+        recap: RecapFormat.from(this.currentSummary),
+        mediaTime: lastRecap?.mediaTime ?? null,
+        window: lastRecap?.window ?? null,
+        segments: lastRecap?.segments ?? [],
+        createdAt: lastRecap?.createdAt ?? Date.now()
+      });
+    } catch (error) {
+      console.error('Error exporting recap:', error);
+      return { success: false, error: I18n.t(error.code === 'NO_TIMED_TRANSCRIPT' ? 'noTimedTranscript' : 'exportFailed') };
+    }
     
-    // Auto-hide after 8 seconds
-    setTimeout(() => {
-      if (this.overlayContainer) {
-        this.overlayContainer.remove();
+    if (download) {
+      const response = await chrome.runtime.sendMessage({ action: 'downloadExport', ...file }).catch(error => {
+        console.error('Error downloading export:', error);
+        return null;
+      });
+      if (!response?.success) {
+        return { success: false, error: I18n.t('exportFailed') };
       }
-    }, 8000);
+    }
+    
+    return { success: true, ...file };
+  }
+
+  async exportFromOverlay(format) {
+    const result = await this.exportRecap(format);
+    if (!result.success) {
+      this.overlay.showNotice(result.error);
+    }
   }
 
   /**
-   * Set up speech controls for the overlay
+   * Toggle reading the current summary aloud
    */
-  setupSpeechControls() {
-    const speakBtn = this.overlayContainer?.querySelector('.speak-btn');
-    if (!speakBtn) return;
-
-    let isCurrentlySpeaking = false;
+  toggleSpeech() {
+    if (this.speech.isActive) {
+      this.stopSpeech();
+      return;
+    }
+    
+    this.speakSummary(this.currentSummary);
+  }
 
-    speakBtn.addEventListener('click', async () => {
-      if (isCurrentlySpeaking) {
-        // Stop current speech
-        this.stopSpeech();
-        this.updateSpeakButton(speakBtn, false);
-        isCurrentlySpeaking = false;
-      } else {
-        // Start speech
-        try {
-          this.updateSpeakButton(speakBtn, true);
-          isCurrentlySpeaking = true;
-          
-          await this.speakSummary(this.currentSummary, () => {
-            // Speech ended callback
-            this.updateSpeakButton(speakBtn, false);
-            isCurrentlySpeaking = false;
-          });
-        } catch (error) {
-          console.error('Error with text-to-speech:', error);
-          this.updateSpeakButton(speakBtn, false);
-          isCurrentlySpeaking = false;
-          this.showSpeechError();
-        }
-      }
+  /**
+   * Read a recap aloud sentence by sentence, in a voice for its language,
+   * with the recapped media turned down meanwhile
+   * Resolves (and calls onEndCallback) with whether it was read to the end
+   */
+  async speakSummary(recap, onEndCallback) {
+    const completed = await this.speech.speak(RecapFormat.toSpeechParts(recap), {
+      language: recap?.language,
+      settings: this.settings.speech,
+      media: this.recapElement
     });
+    onEndCallback?.(completed);
+    return completed;
   }
 
   /**
-   * Update speak button appearance
+   * Read the recap aloud, then rewind a few seconds and resume playback
+   * Pressing play since the pause skips or stops reading and leaves playback to the user
    */
-  updateSpeakButton(button, isSpeaking) {
-    if (!button) return;
-    
-    if (isSpeaking) {
-      button.textContent = '⏸️';
-      button.title = 'Stop reading';
-      button.style.color = '#007bff';
-    } else {
-      button.textContent = '🔊';
-      button.title = 'Read summary aloud';
-      button.style.color = '#666';
+  recapThenResume(element, recap, playWatch) {
+    if (playWatch.played || !element.paused) {
+      playWatch.stop();
+      return;
     }
+    
+    this.speakSummary(recap, async (completed) => {
+      playWatch.stop();
+      if (!completed || !element.isConnected || !element.paused) return;
+      
+      element.currentTime = Math.max(0, element.currentTime - this.settings.resumeRewindSeconds);
+      try {
+        await element.play();
+      } catch (error) {
+        // Autoplay rules can block play() without a recent click or key press
+        console.log('Could not resume playback:', error);
+        this.overlay.showNotice(I18n.t('resumeBlocked'));
+      }
+    });
   }
 
   /**
-   * Speak the summary using Chrome's TTS API
+   * Note whether the element is played from now on, stopping any recap being read
+   * Returns { played, stop } where stop() removes the listener
    */
-  async speakSummary(text, onEndCallback) {
-    if (!text) return;
-
-    try {
-      // Get user's speech preferences
-      const settings = await chrome.storage.local.get(['speechSettings']);
-      const speechSettings = settings.speechSettings || {
-        rate: 1.0,
-        pitch: 1.0,
-        volume: 0.8,
-        voiceName: null // Will use default voice
-      };
-
-      // Send message to background script to handle TTS
-      const response = await chrome.runtime.sendMessage({
-        action: 'speakText',
-        text: text,
-        settings: speechSettings
-      });
-
-      if (response.success) {
-        // Set up listener for when speech ends
-        const handleSpeechEnd = (message) => {
-          if (message.action === 'speechEnded') {
-            chrome.runtime.onMessage.removeListener(handleSpeechEnd);
-            if (onEndCallback) onEndCallback();
-          }
-        };
-        
-        chrome.runtime.onMessage.addListener(handleSpeechEnd);
-      } else {
-        throw new Error(response.error || 'TTS failed');
-      }
-    } catch (error) {
-      console.error('Speech error:', error);
-      if (onEndCallback) onEndCallback();
-      throw error;
-    }
+  watchForPlay(element) {
+    const watch = { played: false };
+    const onPlay = () => {
+      watch.played = true;
+      this.stopSpeech();
+    };
+    element.addEventListener('play', onPlay);
+    watch.stop = () => element.removeEventListener('play', onPlay);
+    return watch;
   }
 
   /**
    * Stop current speech
    */
   stopSpeech() {
-    chrome.runtime.sendMessage({
-      action: 'stopSpeech'
-    }).catch(error => {
-      console.error('Error stopping speech:', error);
-    });
+    this.speech.stop();
   }
 
   /**
    * Show speech error message
    */
   showSpeechError() {
-    const errorDiv = document.createElement('div');
-    errorDiv.style.cssText = `
-      position: fixed;
-      top: 80px;
-      right: 20px;
-      background: #fee2e2;
-      color: #dc2626;
-      padding: 12px 16px;
-      border-radius: 8px;
-      border: 1px solid #fecaca;
-      font-size: 14px;
-      z-index: 2147483648;
-      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.1);
-    `;
-    errorDiv.textContent = 'Speech unavailable. Please check your system settings.';
-    
-    document.body.appendChild(errorDiv);
-    
-    setTimeout(() => {
-      if (errorDiv.parentNode) {
-        errorDiv.parentNode.removeChild(errorDiv);
-      }
-    }, 3000);
+    this.overlay.showNotice(I18n.t('speechUnavailable'));
   }
+
   removeOverlay() {
-    const existing = document.getElementById('video-recap-overlay');
-    if (existing) {
-      existing.remove();
-    }
-    this.overlayContainer = null;
+    this.stopSpeech();
+    this.overlay.remove();
   }
 
   /**
    * Store summary for popup access
    */
-  async storeSummary(summary, transcript) {
+  async storeSummary(recap, extracted, transcriptWindow = {}, mediaTime = null) {
+    const summary = RecapFormat.toText(recap);
+    
     try {
       await chrome.storage.local.set({
         lastSummary: summary,
-        lastTranscript: transcript.substring(0, 500), // Store first 500 chars
+        lastTranscript: extracted.text.substring(0, 500), // Store first 500 chars
+        lastWindow: transcriptWindow,
         timestamp: Date.now()
       });
+      
+      // Add to the per-video history (the background serializes writes across tabs)
+      const response = await chrome.runtime.sendMessage({
+        action: 'saveRecap',
+        entry: {
+          url: location.href,
+          title: document.title,
+          mediaTime,
+          window: transcriptWindow,
+          summary,
+          recap,
+          transcript: extracted.text,
+          segments: extracted.segments
+        }
+      });
+      if (response?.error) throw new Error(response.error.message);
     } catch (error) {
       console.error('Error storing summary:', error);
+      this.overlay.showNotice(I18n.t('historySaveFailed'));
     }
   }
 
@@ -746,20 +953,97 @@ class VideoRecapMonitor {
    * Handle messages from popup or background script
    */
   handleMessage(message, sender, sendResponse) {
+    // The popup talks to the top frame; pass its requests on to the frame with the media in use
+    if (IS_TOP_FRAME && this.activeFrameId !== 0 && FRAME_FORWARDED_ACTIONS.includes(message.action)) {
+      this.frameBridge.sendToFrame(this.activeFrameId, message)
+        .then(sendResponse)
+        .catch(() => {
+          // That frame is gone, answer for this one
+          this.activeFrameId = 0;
+          this.handleMessage(message, sender, sendResponse);
+        });
+      return;
+    }
+    
     switch (message.action) {
       case 'getCurrentSummary':
         sendResponse({
-          summary: this.currentSummary,
-          hasOverlay: !!this.overlayContainer
+          summary: RecapFormat.toText(this.currentSummary) || null,
+          hasOverlay: this.overlay.isOpen,
+          status: this.status,
+          extraction: this.lastExtraction,
+          mediaCount: this.mediaStates.size,
+          videoKey: RecapHistory.getVideoKey(location.href)
         });
         break;
         
+      case 'frameActivity':
+        this.activeFrameId = message.sourceFrameId;
+        sendResponse({ success: true });
+        break;
+        
+      case 'framePauseWaiting':
+        if (message.waiting) {
+          this.waitingFrames.add(message.sourceFrameId);
+        } else {
+          this.waitingFrames.delete(message.sourceFrameId);
+        }
+        sendResponse({ success: true });
+        break;
+        
+      case 'viewerActivity':
+        this.pauseTrigger.handleActivity();
+        sendResponse({ success: true });
+        break;
+        
+      case 'frameOverlay':
+        this.handleFrameOverlay(message);
+        sendResponse({ success: true });
+        break;
+        
+      case 'frameOverlayEvent':
+        this.overlay.handleEvent?.(message.event, message.value);
+        sendResponse({ success: true });
+        break;
+        
+      case 'idleStateChanged':
+        this.pauseTrigger.setIdleState(message.state);
+        sendResponse({ success: true });
+        break;
+        
+      case 'recapNow':
+        this.recapNow().then(sendResponse);
+        break;
+        
       case 'toggleOverlay':
-        if (this.overlayContainer) {
+        if (this.overlay.isOpen) {
           this.removeOverlay();
         } else if (this.currentSummary) {
           this.displaySummary(this.currentSummary);
+          this.overlay.focus();
+        }
+        sendResponse({ success: true });
+        break;
+        
+      case 'toggleSpeech':
+        if (!this.currentSummary && !this.speech.isActive) {
+          sendResponse({ success: false, error: I18n.t('noRecapToRead') });
+          break;
         }
+        this.toggleSpeech();
+        sendResponse({ success: true });
+        break;
+        
+      case 'rewindToRecap':
+        sendResponse(this.rewindToRecap());
+        break;
+        
+      case 'exportRecap':
+        this.exportRecap(message.format, { download: message.download !== false }).then(sendResponse);
+        break;
+        
+      case 'speechEnded':
+        this.speech.handleEnded(message.utteranceId, message.reason);
         sendResponse({ success: true });
         break;
         
@@ -0,0 +1,268 @@
+/**
+ * Cross-frame coordination for Video Recap Assistant
+ * Content scripts run in every frame, but recaps are drawn by the top frame
+ * over the iframe that paused. Messages between frames are relayed by the
+ * background worker, which knows each frame's id.
+ */
+
+const FRAME_HANDSHAKE_TYPE = 'video-recap-frame';
+const IS_TOP_FRAME = window === window.top;
+
+class FrameBridge {
+  constructor() {
+    this.token = crypto.randomUUID(); // Identifies this frame to the top frame
+    this.frameElements = new Map(); // Top frame only: token -> <iframe>
+
+    if (IS_TOP_FRAME) {
+      window.addEventListener('message', (event) => this.handleHandshake(event));
+    }
+  }
+
+  /**
+   * Tell the top frame which <iframe> this frame lives in
+   * The message's source window is all the top frame needs to find it
+   */
+  announce() {
+    if (!IS_TOP_FRAME) {
+      window.top.postMessage({ type: FRAME_HANDSHAKE_TYPE, token: this.token }, '*');
+    }
+  }
+
+  handleHandshake(event) {
+    if (event.data?.type !== FRAME_HANDSHAKE_TYPE || typeof event.data.token !== 'string') return;
+
+    const iframe = FrameBridge.findFrameElement(event.source);
+    if (iframe) {
+      this.frameElements.set(event.data.token, iframe);
+    }
+  }
+
+  /**
+   * The <iframe> in this document that holds a frame's token, if it announced itself
+   */
+  getFrameElement(token) {
+    const iframe = this.frameElements.get(token);
+    return iframe?.isConnected ? iframe : null;
+  }
+
+  /**
+   * Send a message to the top frame's content script
+   */
+  sendToTop(message) {
+    return this.sendToFrame(0, { ...message, frameToken: this.token });
+  }
+
+  /**
+   * Send a message to another frame of this tab's content script
+   */
+  sendToFrame(frameId, message) {
+    return chrome.runtime.sendMessage({ action: 'relayToFrame', frameId, message });
+  }
+
+  /**
+   * The top-level <iframe> (in this document or its open shadow roots)
+   * whose window is, or contains, the given window
+   */
+  static findFrameElement(sourceWindow) {
+    let child = sourceWindow;
+    try {
+      // Nested frames: climb to the one directly under this window
+      while (child && child.parent !== window) {
+        if (child.parent === child) return null;
+        child = child.parent;
+      }
+    } catch {
+      return null;
+    }
+
+    return MediaDiscovery.querySelectorAllDeep(document, 'iframe, frame')
+      .find(frame => frame.contentWindow === child) || null;
+  }
+}
+
+/**
+ * Stands in for RecapOverlay inside child frames, forwarding every call to
+ * the top frame, which draws the real overlay over this frame's <iframe>.
+ * While something in this frame is fullscreen (e.g. an embedded player's
+ * container) the top frame only sees the <iframe> as fullscreen and can't
+ * draw over it, so the overlay is drawn here instead.
+ */
+class FrameOverlayProxy {
+  /**
+   * @param {FrameBridge} bridge
+   * @param {Object} options
+   * @param {() => void} [options.onSpeak] - Speak button clicked in the top frame
+   * @param {() => void} [options.onPauseSpeech] - Pause/resume button clicked in the top frame
+   * @param {() => void} [options.onSkipSpeech] - Skip button clicked in the top frame
+   * @param {(format: string) => void} [options.onExport] - Export format picked in the top frame
+   * @param {() => void} [options.onClose] - Overlay closed by the user in the top frame
+   * @param {(seconds: number) => void} [options.onSeek] - Chapter clicked in the top frame
+   */
+  constructor(bridge, { onSpeak, onPauseSpeech, onSkipSpeech, onExport, onClose, onSeek } = {}) {
+    this.bridge = bridge;
+    this.onSpeak = onSpeak;
+    this.onPauseSpeech = onPauseSpeech;
+    this.onSkipSpeech = onSkipSpeech;
+    this.onExport = onExport;
+    this.onClose = onClose;
+    this.onSeek = onSeek;
+
+    // Mirrors the top frame's overlay so isOpen/isStreaming stay synchronous
+    this.announceOnly = false;
+    this.open = false;
+    this.streaming = false;
+    this.hideTimer = null;
+
+    this.local = new RecapOverlay({ onSpeak, onPauseSpeech, onSkipSpeech, onExport, onSeek, onClose: () => this.handleEvent('close') });
+    this.drawingLocally = false;
+    this.lastShown = null; // [method, ...args] that put up the open panel, to show it again elsewhere
+    this.speechState = 'idle';
+    document.addEventListener('fullscreenchange', () => this.handleFullscreenChange());
+  }
+
+  get isOpen() {
+    return this.open;
+  }
+
+  get isStreaming() {
+    return this.open && this.streaming;
+  }
+
+  setAnchor(element) {
+    // The top frame anchors to our <iframe>; make sure it knows which one that is
+    this.bridge.announce();
+    this.local.setAnchor(element);
+  }
+
+  setTheme(theme) {
+    // Settings are synced, so the top frame already uses the same theme
+    this.local.setTheme(theme);
+  }
+
+  setAnnounceOnly(announceOnly) {
+    // The top frame applies the same setting
+    this.announceOnly = announceOnly;
+    this.local.setAnnounceOnly(announceOnly);
+    if (announceOnly) this.setOpen(false);
+  }
+
+  focus() {
+    this.forward('focus');
+  }
+
+  showLoading() {
+    this.setOpen(true);
+    this.streaming = false;
+    this.show('showLoading');
+  }
+
+  showSummary(summary, options = {}) {
+    this.setOpen(true);
+    this.streaming = Boolean(options.streaming);
+    this.show('showSummary', summary, options);
+  }
+
+  updateSummary(text, options = {}) {
+    if (!this.isStreaming) {
+      this.setOpen(true);
+      this.streaming = !options.final;
+      this.show('updateSummary', text, options);
+    } else {
+      if (options.final) this.streaming = false;
+      this.forward('updateSummary', text, options);
+    }
+    this.lastShown = ['showSummary', text, { streaming: this.streaming }];
+  }
+
+  showMessage(title, message, type) {
+    this.setOpen(true);
+    this.streaming = false;
+    this.show('showMessage', title, message, type);
+
+    // The top frame's overlay hides messages on its own after this long
+    this.hideTimer = setTimeout(() => this.setOpen(false), MESSAGE_HIDE_MS);
+  }
+
+  showNotice(text) {
+    this.forward('showNotice', text);
+  }
+
+  setSpeechState(state) {
+    this.speechState = state;
+    this.forward('setSpeechState', state);
+  }
+
+  highlightSentence(sentence) {
+    this.forward('highlightSentence', sentence);
+  }
+
+  remove() {
+    if (!this.open) return;
+    this.setOpen(false);
+    this.streaming = false;
+    this.lastShown = null;
+    this.forward('remove');
+  }
+
+  /**
+   * Button clicks on the top frame's overlay
+   */
+  handleEvent(event, value) {
+    if (event === 'speak') {
+      this.onSpeak?.();
+    } else if (event === 'pauseSpeech') {
+      this.onPauseSpeech?.();
+    } else if (event === 'skipSpeech') {
+      this.onSkipSpeech?.();
+    } else if (event === 'export') {
+      this.onExport?.(value);
+    } else if (event === 'seek') {
+      this.onSeek?.(value);
+    } else if (event === 'close') {
+      this.setOpen(false);
+      this.lastShown = null;
+      this.onClose?.();
+    }
+  }
+
+  /**
+   * Put up a new panel, here if this frame has something fullscreen, else in the top frame
+   */
+  show(method, ...args) {
+    const local = Boolean(document.fullscreenElement);
+    if (local !== this.drawingLocally) {
+      this.forward('remove');
+      this.drawingLocally = local;
+    }
+    this.lastShown = [method, ...args];
+    this.forward(method, ...args);
+  }
+
+  /**
+   * Move an open panel between this frame and the top frame as fullscreen starts or ends
+   */
+  handleFullscreenChange() {
+    if (!this.open || !this.lastShown || Boolean(document.fullscreenElement) === this.drawingLocally) return;
+
+    const [method, ...args] = this.lastShown;
+    this.show(method, ...args);
+    this.forward('setSpeechState', this.speechState);
+  }
+
+  setOpen(open) {
+    clearTimeout(this.hideTimer);
+    this.open = open && !this.announceOnly;
+  }
+
+  forward(method, ...args) {
+    if (this.drawingLocally) {
+      this.local[method](...args);
+      return;
+    }
+
+    this.bridge.announce();
+    this.bridge.sendToTop({ action: 'frameOverlay', method, args }).catch(error => {
+      console.error(`Error forwarding overlay ${method}:`, error);
+    });
+  }
+}
@@ -0,0 +1,159 @@
+/**
+ * Recap history page for Video Recap Assistant
+ * Lists recaps per video with search and delete
+ */
+
+class HistoryPage {
+  constructor() {
+    this.expanded = new Set();
+    this.searchTimer = null;
+
+    this.videoList = document.getElementById('videos');
+    this.emptyMessage = document.getElementById('empty');
+    this.searchInput = document.getElementById('search');
+
+    this.init();
+  }
+
+  init() {
+    I18n.localize();
+
+    // history.html?video=<key> opens straight to one video's timeline
+    const videoKey = new URLSearchParams(location.search).get('video');
+    if (videoKey) {
+      this.expanded.add(videoKey);
+    }
+
+    this.searchInput.addEventListener('input', () => {
+      clearTimeout(this.searchTimer);
+      this.searchTimer = setTimeout(() => this.render(), 200);
+    });
+
+    document.getElementById('clear-all').addEventListener('click', async () => {
+      if (!confirm(I18n.t('historyConfirmClearAll'))) return;
+      await this.request({ action: 'clearHistory' });
+      this.render();
+    });
+
+    // Recaps saved in other tabs show up without a reload
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'local' && changes[HISTORY_STORAGE_KEY]) {
+        this.render();
+      }
+    });
+
+    this.render();
+  }
+
+  /**
+   * Re-render the video list for the current search
+   */
+  async render() {
+    const query = this.searchInput.value;
+    const { videos = [] } = await this.request({ action: 'searchHistory', query });
+
+    this.videoList.replaceChildren(...videos.map(video => this.renderVideo(video, query)));
+    this.emptyMessage.hidden = videos.length > 0;
+    this.emptyMessage.textContent = I18n.t(query ? 'historyNoMatches' : 'historyEmpty');
+  }
+
+  /**
+   * Send a request to the background worker, which owns the history and its write queue
+   * Failures are logged; the caller gets an empty response
+   */
+  async request(message) {
+    try {
+      const response = await chrome.runtime.sendMessage(message);
+      if (response?.error) throw new Error(response.error.message);
+      return response;
+    } catch (error) {
+      console.error(`History request ${message.action} failed:`, error);
+      return {};
+    }
+  }
+
+  renderVideo(video, query) {
+    const item = document.getElementById('video-template').content.firstElementChild.cloneNode(true);
+    const toggle = item.querySelector('.toggle');
+    const timeline = item.querySelector('.timeline');
+    const isExpanded = this.expanded.has(video.videoKey) || Boolean(query.trim());
+
+    item.querySelector('.title').textContent = video.title;
+    item.querySelector('.meta').textContent =
+      `${I18n.plural('historyRecapCount', video.entries.length)} · ` +
+      I18n.t('historyLastUpdated', new Date(video.updatedAt).toLocaleString());
+    item.querySelector('.open-link').href = video.url;
+
+    toggle.setAttribute('aria-expanded', String(isExpanded));
+    timeline.hidden = !isExpanded;
+
+    toggle.addEventListener('click', () => {
+      const open = timeline.hidden;
+      timeline.hidden = !open;
+      toggle.setAttribute('aria-expanded', String(open));
+      if (open) {
+        this.expanded.add(video.videoKey);
+      } else {
+        this.expanded.delete(video.videoKey);
+      }
+    });
+
+    item.querySelector('.delete-video').addEventListener('click', async () => {
+      if (!confirm(I18n.t('historyConfirmDeleteVideo', video.title))) return;
+      await this.request({ action: 'deleteVideoHistory', videoKey: video.videoKey });
+      this.render();
+    });
+
+    const entries = [...video.entries].sort((a, b) =>
+      (a.mediaTime ?? Infinity) - (b.mediaTime ?? Infinity) || a.createdAt - b.createdAt);
+    timeline.append(...entries.map(entry => this.renderEntry(video, entry, query)));
+
+    return item;
+  }
+
+  renderEntry(video, entry, query) {
+    const item = document.getElementById('entry-template').content.firstElementChild.cloneNode(true);
+
+    item.querySelector('.media-time').textContent = entry.mediaTime !== null
+      ? I18n.t('historyAt', TranscriptSegments.formatTimestamp(entry.mediaTime))
+      : I18n.t('historyUnknownPosition');
+    item.querySelector('.created-at').textContent = new Date(entry.createdAt).toLocaleString();
+
+    this.setHighlightedText(item.querySelector('.summary'), entry.summary, query);
+    this.setHighlightedText(item.querySelector('.transcript-text'), entry.transcript, query);
+
+    item.querySelector('.delete-entry').addEventListener('click', async () => {
+      await this.request({ action: 'deleteRecap', videoKey: video.videoKey, entryId: entry.id });
+      this.render();
+    });
+
+    return item;
+  }
+
+  /**
+   * Set text with search matches wrapped in <mark>, without using innerHTML
+   */
+  setHighlightedText(element, text, query) {
+    const needle = query.trim().toLowerCase();
+    if (!needle) {
+      element.textContent = text;
+      return;
+    }
+
+    const lower = text.toLowerCase();
+    let position = 0;
+    let match = lower.indexOf(needle);
+
+    while (match !== -1) {
+      element.append(text.slice(position, match));
+      const mark = document.createElement('mark');
+      mark.textContent = text.slice(match, match + needle.length);
+      element.append(mark);
+      position = match + needle.length;
+      match = lower.indexOf(needle, position);
+    }
+    element.append(text.slice(position));
+  }
+}
+
+new HistoryPage();
@@ -0,0 +1,81 @@
+/**
+ * Localization helpers for Video Recap Assistant
+ * UI strings live in _locales/<language>/messages.json. Pages mark elements
+ * with data-i18n (text) or data-i18n-title / -placeholder / -aria-label (attributes)
+ */
+
+const I18N_ATTRIBUTES = ['title', 'placeholder', 'aria-label'];
+const I18N_DETECT_CHARS = 5000; // Plenty to tell languages apart
+
+class I18n {
+  /**
+   * Message for a key with $1-style substitutions, or the key itself if it's missing
+   */
+  static t(key, ...substitutions) {
+    return chrome.i18n.getMessage(key, substitutions.map(String)) || key;
+  }
+
+  /**
+   * Message for a count, using keys like "recapCount_one" and "recapCount_other"
+   */
+  static plural(key, count) {
+    const rule = new Intl.PluralRules(chrome.i18n.getUILanguage()).select(count);
+    return chrome.i18n.getMessage(`${key}_${rule}`, [String(count)]) || this.t(`${key}_other`, count);
+  }
+
+  /**
+   * Fill in every marked element under root, including inside <template>s
+   */
+  static localize(root = document) {
+    for (const element of root.querySelectorAll('[data-i18n]')) {
+      element.textContent = this.t(element.dataset.i18n);
+    }
+
+    for (const attribute of I18N_ATTRIBUTES) {
+      for (const element of root.querySelectorAll(`[data-i18n-${attribute}]`)) {
+        element.setAttribute(attribute, this.t(element.getAttribute(`data-i18n-${attribute}`)));
+      }
+    }
+
+    for (const template of root.querySelectorAll('template')) {
+      this.localize(template.content);
+    }
+
+    if (root === document) {
+      document.documentElement.lang = chrome.i18n.getUILanguage();
+    }
+  }
+
+  /**
+   * Main language of a text, or '' when detection isn't sure
+   */
+  static async detectLanguage(text) {
+    try {
+      const { isReliable, languages } = await chrome.i18n.detectLanguage(text.slice(0, I18N_DETECT_CHARS));
+      const [top] = languages;
+      return top && top.language !== 'und' && (isReliable || top.percentage >= 80) ? top.language : '';
+    } catch (error) {
+      console.warn('Language detection failed:', error);
+      return '';
+    }
+  }
+
+  /**
+   * Name of a language in the UI language, e.g. "German" for "de"
+   */
+  static languageName(code) {
+    try {
+      return new Intl.DisplayNames([chrome.i18n.getUILanguage()], { type: 'language' }).of(code) || code;
+    } catch {
+      return code;
+    }
+  }
+
+  /**
+   * Whether two language codes are the same language ("pt-BR" and "pt" are)
+   */
+  static sameLanguage(a, b) {
+    const base = (code) => (code || '').split(/[-_]/)[0].toLowerCase();
+    return Boolean(a && b) && base(a) === base(b);
+  }
+}
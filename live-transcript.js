@@ -0,0 +1,187 @@
+/**
+ * Live transcript buffer for Video Recap Assistant
+ * Records captions as they are shown during playback, from TextTrack cue
+ * changes and from the player's caption DOM, so a recap covers everything
+ * said rather than the one line visible at pause time
+ */
+
+const LIVE_DEDUPE_SECONDS = 10; // Repeats of a line this close together are the same line
+const LIVE_RECENT_LINES = 6; // How many recent lines a new one is compared against
+const LIVE_MAX_SEGMENTS = 3000;
+
+class LiveTranscriptBuffer {
+  /**
+   * @param {HTMLMediaElement} element
+   * @param {Object} options
+   * @param {number} options.maxSeconds - How much media time to keep
+   * @param {{root: Element, selector: string}|null} options.captionSource - Where the player renders captions
+   */
+  constructor(element, { maxSeconds = 600, captionSource = null } = {}) {
+    this.element = element;
+    this.maxSeconds = maxSeconds;
+    this.captionSource = captionSource;
+
+    this.segments = []; // In the order they were heard
+    this.watchedTracks = new Set();
+    this.enabledTrack = null; // Track this buffer switched to "hidden", switched back in stop()
+    this.observer = null;
+    this.readScheduled = false;
+    this.lastTime = 0;
+
+    this.handleCueChange = (event) => this.readActiveCues(event.target);
+    this.handleTracksChanged = () => this.watchTextTracks();
+  }
+
+  start() {
+    if (this.observer || this.watchedTracks.size > 0) return;
+
+    const tracks = this.element.textTracks;
+    if (tracks) {
+      tracks.addEventListener('addtrack', this.handleTracksChanged);
+      tracks.addEventListener('change', this.handleTracksChanged);
+      this.watchTextTracks();
+    }
+
+    if (this.captionSource) {
+      // Caption windows are often created and destroyed per line, so watch the whole player
+      this.observer = new MutationObserver(() => this.scheduleCaptionRead());
+      this.observer.observe(this.captionSource.root, { childList: true, subtree: true, characterData: true });
+    }
+  }
+
+  stop() {
+    const tracks = this.element.textTracks;
+    tracks?.removeEventListener('addtrack', this.handleTracksChanged);
+    tracks?.removeEventListener('change', this.handleTracksChanged);
+
+    for (const track of this.watchedTracks) {
+      track.removeEventListener('cuechange', this.handleCueChange);
+    }
+    this.watchedTracks.clear();
+    this.releaseTrack();
+
+    this.observer?.disconnect();
+    this.observer = null;
+  }
+
+  clear() {
+    this.segments = [];
+    this.lastTime = 0;
+  }
+
+  /**
+   * Follow cue changes on the caption and subtitle tracks that are loaded
+   */
+  watchTextTracks() {
+    const tracks = Array.from(this.element.textTracks)
+      .filter(track => track.kind === 'captions' || track.kind === 'subtitles');
+
+    if (tracks.some(track => track.mode === 'showing')) {
+      // The viewer turned captions on; those are read as they are, ours is no longer needed
+      this.releaseTrack();
+    } else if (!this.enabledTrack && tracks.length > 0 && tracks.every(track => track.mode === 'disabled')) {
+      // Cues only load for enabled tracks; "hidden" loads them without rendering
+      this.enabledTrack = tracks[0];
+      this.enabledTrack.mode = 'hidden';
+    }
+
+    for (const track of tracks) {
+      if (track.mode === 'disabled' || this.watchedTracks.has(track)) continue;
+      track.addEventListener('cuechange', this.handleCueChange);
+      this.watchedTracks.add(track);
+    }
+  }
+
+  /**
+   * Put the track this buffer enabled back the way it was, unless the page changed it since
+   */
+  releaseTrack() {
+    const track = this.enabledTrack;
+    if (!track) return;
+
+    this.enabledTrack = null;
+    track.removeEventListener('cuechange', this.handleCueChange);
+    this.watchedTracks.delete(track);
+    if (track.mode === 'hidden') {
+      track.mode = 'disabled';
+    }
+  }
+
+  readActiveCues(track) {
+    if (this.element.seeking) return;
+
+    for (const cue of Array.from(track.activeCues || [])) {
+      this.addLine(CaptionTrackReader.stripCueMarkup(cue.text || ''), cue.startTime, cue.endTime);
+    }
+  }
+
+  /**
+   * Read the caption DOM at most once per frame, however many mutations arrive
+   */
+  scheduleCaptionRead() {
+    if (this.readScheduled) return;
+    this.readScheduled = true;
+
+    requestAnimationFrame(() => {
+      this.readScheduled = false;
+      this.readCaptionDom();
+    });
+  }
+
+  readCaptionDom() {
+    if (this.element.paused || this.element.seeking) return;
+
+    const { root, selector } = this.captionSource;
+    const time = this.element.currentTime;
+
+    for (const container of root.querySelectorAll(selector)) {
+      const lines = (container.innerText ?? container.textContent ?? '').split('\n');
+      for (const line of lines) {
+        this.addLine(line.replace(/\s+/g, ' ').trim(), time);
+      }
+    }
+  }
+
+  /**
+   * Add a caption line unless it repeats one just heard
+   * Roll-up captions grow word by word, so a line extending a recent one replaces it
+   */
+  addLine(text, start, end = null) {
+    if (!text || !Number.isFinite(start)) return;
+
+    const recent = this.segments.slice(-LIVE_RECENT_LINES)
+      .filter(segment => Math.abs(segment.start - start) <= LIVE_DEDUPE_SECONDS);
+
+    for (const segment of recent) {
+      if (segment.text === text || segment.text.startsWith(text)) return;
+      if (text.startsWith(segment.text)) {
+        segment.text = text;
+        segment.end = end ?? segment.end;
+        return;
+      }
+    }
+
+    this.segments.push({ start, end, text });
+    this.lastTime = start;
+    this.trim();
+  }
+
+  /**
+   * Rolling buffer: keep media near the current position and bound the total
+   */
+  trim() {
+    this.segments = this.segments
+      .filter(segment => Math.abs(this.lastTime - segment.start) <= this.maxSeconds)
+      .slice(-LIVE_MAX_SEGMENTS);
+  }
+
+  /**
+   * Buffered segments in media order
+   */
+  getSegments() {
+    const sorted = this.segments
+      .map(segment => ({ ...segment }))
+      .sort((a, b) => a.start - b.start);
+    return TranscriptSegments.fillEndTimes(sorted);
+  }
+}
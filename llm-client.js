@@ -0,0 +1,483 @@
+/**
+ * LLM client for Video Recap Assistant
+ * Provider-agnostic chat completion with timeouts, retries and error codes
+ */
+
+/**
+ * Error codes returned to the content script
+ */
+const LLM_ERROR_CODES = {
+  NOT_CONFIGURED: 'NOT_CONFIGURED', // Missing API key or endpoint
+  AUTH_FAILED: 'AUTH_FAILED', // 401/403 from the provider
+  RATE_LIMITED: 'RATE_LIMITED', // 429 from the provider
+  TIMEOUT: 'TIMEOUT', // No response within the request timeout
+  NETWORK_ERROR: 'NETWORK_ERROR', // Provider unreachable (e.g. local server not running)
+  PROVIDER_ERROR: 'PROVIDER_ERROR', // 5xx or other unexpected status
+  BAD_RESPONSE: 'BAD_RESPONSE', // Response had no usable text
+  INVALID_REQUEST: 'INVALID_REQUEST', // 400/404/413, e.g. unknown model or context too long
+  CANCELLED: 'CANCELLED' // Caller went away before the response finished
+};
+
+class LLMError extends Error {
+  constructor(code, message, { status = null, retryAfter = null } = {}) {
+    super(message);
+    this.name = 'LLMError';
+    this.code = code;
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+
+  get retryable() {
+    return [
+      LLM_ERROR_CODES.TIMEOUT,
+      LLM_ERROR_CODES.NETWORK_ERROR,
+      LLM_ERROR_CODES.RATE_LIMITED,
+      LLM_ERROR_CODES.PROVIDER_ERROR
+    ].includes(this.code);
+  }
+
+  toJSON() {
+    return { code: this.code, message: this.message, status: this.status };
+  }
+}
+
+/**
+ * Base provider: turns { system, messages } into a provider request and back
+ */
+class LLMProvider {
+  constructor(config) {
+    this.config = config;
+  }
+
+  get requiresApiKey() {
+    return true;
+  }
+
+  validate() {
+    if (!this.config.endpoint) {
+      throw new LLMError(LLM_ERROR_CODES.NOT_CONFIGURED, 'No endpoint configured');
+    }
+    if (this.requiresApiKey && !this.config.apiKey) {
+      throw new LLMError(LLM_ERROR_CODES.NOT_CONFIGURED, 'No API key configured');
+    }
+  }
+
+  buildRequest() {
+    throw new Error('buildRequest not implemented');
+  }
+
+  parseResponse() {
+    throw new Error('parseResponse not implemented');
+  }
+
+  /**
+   * Text delta from one line of a streamed response, or null
+   */
+  parseStreamLine() {
+    throw new Error('parseStreamLine not implemented');
+  }
+
+  /**
+   * JSON payload of a server-sent events "data:" line
+   */
+  static parseSSEData(line) {
+    if (!line.startsWith('data:')) return null;
+
+    const payload = line.slice(5).trim();
+    if (!payload || payload === '[DONE]') return null;
+
+    try {
+      return JSON.parse(payload);
+    } catch {
+      return null;
+    }
+  }
+}
+
+/**
+ * OpenAI-compatible /chat/completions endpoints (OpenAI, llama.cpp server, most proxies)
+ */
+class OpenAIProvider extends LLMProvider {
+  get requiresApiKey() {
+    return this.config.requireApiKey !== false;
+  }
+
+  buildRequest({ system, messages, maxTokens, temperature, stream }) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.config.apiKey) {
+      headers.Authorization = `Bearer ${this.config.apiKey}`;
+    }
+
+    return {
+      url: this.config.endpoint,
+      headers,
+      body: {
+        model: this.config.model,
+        messages: [{ role: 'system', content: system }, ...messages],
+        max_tokens: maxTokens,
+        temperature,
+        stream
+      }
+    };
+  }
+
+  parseResponse(data) {
+    return data?.choices?.[0]?.message?.content;
+  }
+
+  parseStreamLine(line) {
+    return LLMProvider.parseSSEData(line)?.choices?.[0]?.delta?.content || null;
+  }
+}
+
+/**
+ * Anthropic-style /v1/messages endpoints
+ */
+class AnthropicProvider extends LLMProvider {
+  buildRequest({ system, messages, maxTokens, temperature, stream }) {
+    return {
+      url: this.config.endpoint,
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': this.config.apiKey,
+        'anthropic-version': '2023-06-01',
+        'anthropic-dangerous-direct-browser-access': 'true'
+      },
+      body: {
+        model: this.config.model,
+        system,
+        messages,
+        max_tokens: maxTokens,
+        temperature,
+        stream
+      }
+    };
+  }
+
+  parseResponse(data) {
+    return data?.content
+      ?.filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+  }
+
+  parseStreamLine(line) {
+    const event = LLMProvider.parseSSEData(line);
+    if (event?.type === 'error') {
+      throw new LLMError(LLM_ERROR_CODES.PROVIDER_ERROR, event.error?.message || 'Stream error');
+    }
+    return event?.type === 'content_block_delta' ? event.delta?.text || null : null;
+  }
+}
+
+/**
+ * Local Ollama server (/api/chat)
+ */
+class OllamaProvider extends LLMProvider {
+  get requiresApiKey() {
+    return false;
+  }
+
+  buildRequest({ system, messages, maxTokens, temperature, stream }) {
+    return {
+      url: this.config.endpoint,
+      headers: { 'Content-Type': 'application/json' },
+      body: {
+        model: this.config.model,
+        messages: [{ role: 'system', content: system }, ...messages],
+        stream,
+        options: { num_predict: maxTokens, temperature }
+      }
+    };
+  }
+
+  parseResponse(data) {
+    return data?.message?.content;
+  }
+
+  parseStreamLine(line) {
+    // Ollama streams newline-delimited JSON rather than SSE
+    try {
+      return JSON.parse(line)?.message?.content || null;
+    } catch {
+      return null;
+    }
+  }
+}
+
+/**
+ * Built-in providers and their defaults
+ */
+const LLM_PROVIDERS = {
+  openai: {
+    Provider: OpenAIProvider,
+    defaults: { endpoint: 'https://api.openai.com/v1/chat/completions', model: 'gpt-4o-mini' }
+  },
+  anthropic: {
+    Provider: AnthropicProvider,
+    defaults: { endpoint: 'https://api.anthropic.com/v1/messages', model: 'claude-3-5-haiku-latest' }
+  },
+  ollama: {
+    Provider: OllamaProvider,
+    defaults: { endpoint: 'http://localhost:11434/api/chat', model: 'llama3.1' }
+  },
+  llamacpp: {
+    Provider: OpenAIProvider,
+    defaults: { endpoint: 'http://localhost:8080/v1/chat/completions', model: 'local', requireApiKey: false }
+  }
+};
+
+class LLMClient {
+  constructor(settings = {}) {
+    this.configure(settings);
+  }
+
+  /**
+   * Apply provider settings, filling in the provider's defaults
+   */
+  configure(settings = {}) {
+    const providerName = LLM_PROVIDERS[settings.provider] ? settings.provider : 'openai';
+    const { Provider, defaults } = LLM_PROVIDERS[providerName];
+
+    // Empty strings from the settings form fall back to the defaults
+    const overrides = Object.fromEntries(
+      Object.entries(settings).filter(([, value]) => value !== '' && value !== null && value !== undefined)
+    );
+
+    this.providerName = providerName;
+    this.config = {
+      timeoutMs: 30000,
+      maxRetries: 2,
+      retryDelayMs: 1000,
+      ...defaults,
+      ...overrides
+    };
+    this.provider = new Provider(this.config);
+  }
+
+  /**
+   * Run a chat completion and return the response text
+   */
+  complete({ system, messages, maxTokens = 500, temperature = 0.3 }, { signal } = {}) {
+    this.provider.validate();
+    const request = this.provider.buildRequest({ system, messages, maxTokens, temperature, stream: false });
+
+    return this.withRetries(async () => {
+      const data = await this.send(request, signal);
+      const text = this.provider.parseResponse(data)?.trim();
+
+      if (!text) {
+        throw new LLMError(LLM_ERROR_CODES.BAD_RESPONSE, 'Provider returned no text');
+      }
+      return text;
+    }, () => !signal?.aborted);
+  }
+
+  /**
+   * Run a streaming chat completion, calling onToken with each text delta
+   * Resolves with the full response text
+   */
+  stream({ system, messages, maxTokens = 500, temperature = 0.3 }, onToken, { signal } = {}) {
+    this.provider.validate();
+    const request = this.provider.buildRequest({ system, messages, maxTokens, temperature, stream: true });
+    let receivedTokens = false;
+
+    return this.withRetries(async () => {
+      let text = '';
+      await this.sendStreaming(request, (delta) => {
+        receivedTokens = true;
+        text += delta;
+        onToken(delta);
+      }, signal);
+
+      if (!text.trim()) {
+        throw new LLMError(LLM_ERROR_CODES.BAD_RESPONSE, 'Provider returned no text');
+      }
+      return text.trim();
+    }, () => !receivedTokens && !signal?.aborted); // Tokens already shown can't be retried
+  }
+
+  /**
+   * Retry retryable failures with backoff
+   */
+  async withRetries(run, canRetry = () => true) {
+    let attempt = 0;
+    while (true) {
+      try {
+        return await run();
+      } catch (error) {
+        const llmError = error instanceof LLMError
+          ? error
+          : new LLMError(LLM_ERROR_CODES.NETWORK_ERROR, error.message);
+
+        if (!llmError.retryable || attempt >= this.config.maxRetries || !canRetry()) {
+          throw llmError;
+        }
+
+        const delay = this.getRetryDelay(attempt, llmError);
+        console.warn(`LLM request failed (${llmError.code}), retrying in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        attempt++;
+      }
+    }
+  }
+
+  /**
+   * Exponential backoff with jitter, honoring Retry-After when given
+   */
+  getRetryDelay(attempt, error) {
+    if (error.retryAfter) {
+      return Math.min(error.retryAfter * 1000, 30000);
+    }
+    const base = this.config.retryDelayMs * 2 ** attempt;
+    return base + Math.floor(Math.random() * base * 0.25);
+  }
+
+  /**
+   * POST a request with a timeout and map HTTP failures to error codes
+   */
+  async send({ url, headers, body }, signal) {
+    if (signal?.aborted) {
+      throw new LLMError(LLM_ERROR_CODES.CANCELLED, 'Request cancelled');
+    }
+
+    // The timer and the caller's signal cover reading the body too, not just the headers
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, this.config.timeoutMs);
+    const cancel = () => controller.abort();
+    signal?.addEventListener('abort', cancel);
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw await LLMClient.errorFromResponse(response);
+      }
+
+      const text = await response.text();
+      try {
+        return JSON.parse(text);
+      } catch {
+        throw new LLMError(LLM_ERROR_CODES.BAD_RESPONSE, 'Provider returned invalid JSON');
+      }
+    } catch (error) {
+      if (error instanceof LLMError) throw error;
+      if (error.name === 'AbortError') {
+        throw timedOut
+          ? new LLMError(LLM_ERROR_CODES.TIMEOUT, `No response after ${this.config.timeoutMs}ms`)
+          : new LLMError(LLM_ERROR_CODES.CANCELLED, 'Request cancelled');
+      }
+      throw new LLMError(LLM_ERROR_CODES.NETWORK_ERROR, `Could not reach ${url}: ${error.message}`);
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', cancel);
+    }
+  }
+
+  /**
+   * POST a streaming request and feed each text delta to onDelta
+   * The timeout applies to the first byte and to every gap between chunks
+   */
+  async sendStreaming({ url, headers, body }, onDelta, signal) {
+    const controller = new AbortController();
+    let timedOut = false;
+    let timer;
+    const resetTimer = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, this.config.timeoutMs);
+    };
+    const cancel = () => controller.abort();
+
+    if (signal?.aborted) {
+      throw new LLMError(LLM_ERROR_CODES.CANCELLED, 'Request cancelled');
+    }
+    signal?.addEventListener('abort', cancel);
+    resetTimer();
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw await LLMClient.errorFromResponse(response);
+      }
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        resetTimer();
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop(); // Keep the incomplete last line for the next chunk
+
+        for (const line of lines) {
+          const delta = line.trim() && this.provider.parseStreamLine(line.trim());
+          if (delta) onDelta(delta);
+        }
+      }
+
+      const delta = buffer.trim() && this.provider.parseStreamLine(buffer.trim());
+      if (delta) onDelta(delta);
+    } catch (error) {
+      if (error instanceof LLMError) throw error;
+      if (error.name === 'AbortError') {
+        throw timedOut
+          ? new LLMError(LLM_ERROR_CODES.TIMEOUT, `No data for ${this.config.timeoutMs}ms`)
+          : new LLMError(LLM_ERROR_CODES.CANCELLED, 'Request cancelled');
+      }
+      throw new LLMError(LLM_ERROR_CODES.NETWORK_ERROR, `Could not reach ${url}: ${error.message}`);
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', cancel);
+    }
+  }
+
+  /**
+   * Build an LLMError from a failed HTTP response
+   */
+  static async errorFromResponse(response) {
+    let detail = '';
+    try {
+      const data = await response.json();
+      detail = data?.error?.message || data?.error || data?.message || '';
+    } catch {
+      // Body was not JSON; the status code is enough
+    }
+
+    const message = `HTTP ${response.status}${detail ? `: ${detail}` : ''}`;
+    const options = { status: response.status };
+
+    if (response.status === 401 || response.status === 403) {
+      return new LLMError(LLM_ERROR_CODES.AUTH_FAILED, message, options);
+    }
+    if (response.status === 429) {
+      const retryAfter = Number(response.headers.get('retry-after')) || null;
+      return new LLMError(LLM_ERROR_CODES.RATE_LIMITED, message, { ...options, retryAfter });
+    }
+    if (response.status >= 500) {
+      return new LLMError(LLM_ERROR_CODES.PROVIDER_ERROR, message, options);
+    }
+    return new LLMError(LLM_ERROR_CODES.INVALID_REQUEST, message, options);
+  }
+}
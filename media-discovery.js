@@ -0,0 +1,171 @@
+/**
+ * Media discovery for Video Recap Assistant
+ * Finds audio/video elements in the document and inside the open shadow roots
+ * of custom elements, including ones added later by web-component players
+ */
+
+const MEDIA_SELECTOR = 'audio, video';
+const MEDIA_SHADOW_SCAN_INTERVAL_MS = 1000; // Shadow roots of added content are looked for at most this often
+
+class MediaDiscovery {
+  /**
+   * @param {(element: HTMLMediaElement) => void} onFound - Called for each element found
+   * @param {(element: HTMLMediaElement) => void} [onRemoved] - Called for each element taken out of the page
+   */
+  constructor(onFound, onRemoved = () => {}) {
+    this.onFound = onFound;
+    this.onRemoved = onRemoved;
+    this.observedRoots = new WeakSet();
+    this.observer = new MutationObserver((mutations) => this.handleMutations(mutations));
+
+    this.pendingRoots = new Set(); // Added subtrees whose shadow roots haven't been looked at yet
+    this.waitingHosts = new Set(); // Custom elements not yet upgraded, which may attach a shadow root
+    this.scanTimer = null;
+    this.lastShadowScan = 0;
+  }
+
+  /**
+   * Report the media already on the page and watch for more
+   */
+  start() {
+    const found = this.scan(document);
+    console.log(`Found ${found} media elements`);
+    this.observe(document.documentElement);
+
+    // Players not upgraded yet get their shadow roots before they're used, so look again on input
+    for (const type of ['pointerdown', 'keydown']) {
+      window.addEventListener(type, () => {
+        if (this.waitingHosts.size > 0) this.scheduleShadowScan();
+      }, { capture: true, passive: true });
+    }
+  }
+
+  /**
+   * Report media in a subtree and start observing its shadow roots
+   * Returns how many media elements were found
+   */
+  scan(root) {
+    return this.scanLight(root) + this.scanShadowRoots(root);
+  }
+
+  /**
+   * Report media in a subtree, not looking into shadow roots
+   */
+  scanLight(root) {
+    let count = 0;
+
+    if (root.matches?.(MEDIA_SELECTOR)) {
+      this.onFound(root);
+      count++;
+    }
+
+    for (const element of root.querySelectorAll?.(MEDIA_SELECTOR) || []) {
+      this.onFound(element);
+      count++;
+    }
+
+    return count;
+  }
+
+  /**
+   * Observe and scan the open shadow roots of custom elements in a subtree,
+   * remembering custom elements that aren't upgraded yet
+   */
+  scanShadowRoots(root) {
+    let count = 0;
+
+    for (const host of MediaDiscovery.getCustomElements(root)) {
+      if (host.shadowRoot) {
+        this.observe(host.shadowRoot);
+        count += this.scan(host.shadowRoot);
+      } else if (!host.matches(':defined')) {
+        this.waitingHosts.add(host);
+      }
+    }
+
+    return count;
+  }
+
+  observe(root) {
+    if (!root || this.observedRoots.has(root)) return;
+    this.observedRoots.add(root);
+    this.observer.observe(root, { childList: true, subtree: true });
+  }
+
+  handleMutations(mutations) {
+    for (const mutation of mutations) {
+      for (const node of mutation.removedNodes) {
+        if (node.nodeType !== Node.ELEMENT_NODE) continue;
+
+        const removed = MediaDiscovery.querySelectorAllDeep(node, MEDIA_SELECTOR);
+        if (node.matches(MEDIA_SELECTOR)) removed.unshift(node);
+        removed.forEach(element => this.onRemoved(element));
+      }
+
+      for (const node of mutation.addedNodes) {
+        if (node.nodeType === Node.ELEMENT_NODE) {
+          this.scanLight(node);
+          this.pendingRoots.add(node);
+        }
+      }
+    }
+
+    if (this.pendingRoots.size > 0) {
+      this.scheduleShadowScan();
+    }
+  }
+
+  /**
+   * Look for shadow roots in added content and upgraded custom elements,
+   * at most once per MEDIA_SHADOW_SCAN_INTERVAL_MS
+   */
+  scheduleShadowScan() {
+    if (this.scanTimer) return;
+
+    const wait = Math.max(0, this.lastShadowScan + MEDIA_SHADOW_SCAN_INTERVAL_MS - Date.now());
+    this.scanTimer = setTimeout(() => {
+      this.scanTimer = null;
+      this.lastShadowScan = Date.now();
+
+      const roots = Array.from(this.pendingRoots).filter(root => root.isConnected);
+      this.pendingRoots.clear();
+
+      for (const host of this.waitingHosts) {
+        if (host.shadowRoot || !host.isConnected || host.matches(':defined')) {
+          this.waitingHosts.delete(host);
+          if (host.shadowRoot && host.isConnected) roots.push(host);
+        }
+      }
+
+      roots.forEach(root => this.scanShadowRoots(root));
+    }, wait);
+  }
+
+  /**
+   * Custom elements (tag names with a '-') in a subtree, the subtree's root included;
+   * only these are searched for open shadow roots
+   */
+  static getCustomElements(root) {
+    const elements = root.querySelectorAll ? Array.from(root.querySelectorAll('*')) : [];
+    if (root.localName) elements.unshift(root);
+    return elements.filter(element => element.localName.includes('-'));
+  }
+
+  /**
+   * Open shadow roots of custom elements in a subtree (not nested ones)
+   */
+  static getShadowRoots(root) {
+    return this.getCustomElements(root).map(host => host.shadowRoot).filter(Boolean);
+  }
+
+  /**
+   * querySelectorAll that also searches open shadow roots
+   */
+  static querySelectorAllDeep(root, selector) {
+    const results = Array.from(root.querySelectorAll(selector));
+    for (const shadowRoot of this.getShadowRoots(root)) {
+      results.push(...this.querySelectorAllDeep(shadowRoot, selector));
+    }
+    return results;
+  }
+}
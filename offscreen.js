@@ -0,0 +1,71 @@
+/**
+ * Offscreen document for Video Recap Assistant
+ * Service workers can't start workers of their own, so the background keeps
+ * this page open to host the Whisper speech-to-text worker
+ */
+
+class OffscreenTranscriber {
+  constructor() {
+    this.worker = null;
+    this.requests = new Map(); // id -> { resolve }
+    this.nextId = 1;
+
+    this.init();
+  }
+
+  init() {
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      // Content scripts' messages reach this page too; only answer the background
+      if (message.target !== 'offscreen') return false;
+
+      if (message.action === 'transcribe') {
+        this.transcribe(message.audio, message.sampleRate).then(sendResponse);
+        return true;
+      }
+      return false;
+    });
+  }
+
+  getWorker() {
+    if (!this.worker) {
+      this.worker = new Worker('whisper/whisper-worker.js');
+      this.worker.addEventListener('message', (event) => {
+        const request = this.requests.get(event.data.id);
+        if (request) {
+          this.requests.delete(event.data.id);
+          request.resolve(event.data);
+        }
+      });
+      this.worker.addEventListener('error', (event) => {
+        console.error('Whisper worker failed:', event.message);
+        this.failAll(event.message || 'Whisper worker failed');
+      });
+    }
+    return this.worker;
+  }
+
+  /**
+   * Transcribe base64 16-bit PCM; resolves to { segments } or { error }
+   */
+  transcribe(audio, sampleRate) {
+    const id = this.nextId++;
+    return new Promise((resolve) => {
+      this.requests.set(id, { resolve });
+      this.getWorker().postMessage({ id, audio, sampleRate });
+    });
+  }
+
+  /**
+   * A crashed worker can't answer, so settle everything waiting on it and start fresh next time
+   */
+  failAll(message) {
+    for (const [id, request] of this.requests) {
+      request.resolve({ id, error: { code: 'TRANSCRIPTION_FAILED', message } });
+    }
+    this.requests.clear();
+    this.worker?.terminate();
+    this.worker = null;
+  }
+}
+
+new OffscreenTranscriber();
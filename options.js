@@ -0,0 +1,201 @@
+/**
+ * Options page for Video Recap Assistant
+ * Edits the synced settings schema and the device-local provider settings
+ */
+
+class OptionsPage {
+  constructor() {
+    this.form = document.getElementById('settings-form');
+    this.saveStatus = document.getElementById('save-status');
+    this.statusTimer = null;
+
+    this.init();
+  }
+
+  async init() {
+    I18n.localize();
+    this.nameLanguages();
+    await this.loadVoices();
+
+    const settings = await SettingsStore.load();
+    const { llmSettings = {} } = await chrome.storage.local.get(['llmSettings']);
+    this.fillForm(settings, llmSettings);
+    this.checkWhisperInstalled();
+
+    this.form.addEventListener('input', (event) => this.updateOutput(event.target));
+    this.form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      this.save();
+    });
+
+    document.getElementById('test-voice').addEventListener('click', () => this.testVoice());
+    document.getElementById('clear-cache').addEventListener('click', () => this.clearCache());
+    this.showCacheStats();
+  }
+
+  /**
+   * Show the recap language choices in the UI language
+   */
+  nameLanguages() {
+    for (const option of this.form.elements.outputLanguage.options) {
+      if (!option.dataset.i18n) {
+        option.textContent = I18n.languageName(option.value);
+      }
+    }
+  }
+
+  /**
+   * Fill the voice picker from chrome.tts
+   */
+  async loadVoices() {
+    const select = this.form.elements['speech.voiceName'];
+    const voices = await chrome.tts.getVoices();
+
+    voices
+      .sort((a, b) => (a.lang || '').localeCompare(b.lang || '') || a.voiceName.localeCompare(b.voiceName))
+      .forEach(voice => {
+        const option = document.createElement('option');
+        option.value = voice.voiceName;
+        option.textContent = voice.lang ? `${voice.voiceName} (${voice.lang})` : voice.voiceName;
+        select.appendChild(option);
+      });
+  }
+
+  fillForm(settings, llmSettings) {
+    for (const element of this.form.elements) {
+      if (!element.name) continue;
+
+      const [group, key] = element.name.split('.');
+      let value;
+      if (group === 'llm') {
+        value = llmSettings[key];
+      } else if (key) {
+        value = settings[group][key];
+      } else {
+        value = settings[group];
+      }
+
+      if (element.type === 'checkbox') {
+        element.checked = Boolean(value);
+      } else {
+        element.value = Array.isArray(value) ? value.join('\n') : (value ?? '');
+      }
+      this.updateOutput(element);
+    }
+  }
+
+  /**
+   * Local transcription needs the Whisper build and model, which aren't part of
+   * the extension package; without them the option is turned off and explained
+   */
+  async checkWhisperInstalled() {
+    const status = await chrome.runtime.sendMessage({ action: 'getLocalTranscriptionStatus' }).catch(() => null);
+    if (status?.available) return;
+
+    const checkbox = this.form.elements.localTranscription;
+    checkbox.checked = false;
+    checkbox.disabled = true;
+    document.getElementById('whisper-missing').hidden = false;
+  }
+
+  /**
+   * Mirror range values into their <output>
+   */
+  updateOutput(element) {
+    const output = this.form.querySelector(`output[data-for="${element.name}"]`);
+    if (output) {
+      output.textContent = element.value;
+    }
+  }
+
+  /**
+   * Read the form into { settings, llmSettings }
+   */
+  readForm() {
+    const settings = { speech: {} };
+    const llmSettings = {};
+
+    for (const element of this.form.elements) {
+      if (!element.name) continue;
+
+      const [group, key] = element.name.split('.');
+      if (group === 'llm') {
+        llmSettings[key] = element.value.trim();
+      } else if (key) {
+        settings[group][key] = element.value === '' && key === 'voiceName' ? null : element.value;
+      } else {
+        settings[group] = element.type === 'checkbox' ? element.checked : element.value;
+      }
+    }
+
+    return { settings, llmSettings };
+  }
+
+  async save() {
+    const { settings, llmSettings } = this.readForm();
+
+    try {
+      const saved = await SettingsStore.save(settings);
+      const { llmSettings: existing = {} } = await chrome.storage.local.get(['llmSettings']);
+      await chrome.storage.local.set({ llmSettings: { ...existing, ...llmSettings } });
+
+      // Show the normalized values (e.g. cleaned-up host lists, clamped numbers)
+      this.fillForm(saved, { ...existing, ...llmSettings });
+      this.showStatus(I18n.t('saved'));
+    } catch (error) {
+      console.error('Error saving settings:', error);
+      this.showStatus(I18n.t('saveFailed'));
+    }
+  }
+
+  testVoice() {
+    const { speech } = this.readForm().settings;
+
+    chrome.tts.stop();
+    chrome.tts.speak(I18n.t('testVoiceText'), {
+      voiceName: speech.voiceName || undefined,
+      lang: speech.voiceName ? undefined : chrome.i18n.getUILanguage(),
+      rate: Number(speech.rate),
+      pitch: Number(speech.pitch),
+      volume: Number(speech.volume)
+    });
+  }
+
+  /**
+   * Show the background's summary cache size and hit rate
+   */
+  async showCacheStats() {
+    const element = document.getElementById('cache-stats');
+
+    try {
+      const { stats } = await chrome.runtime.sendMessage({ action: 'getCacheStats' });
+      const lookups = stats.hits + stats.misses;
+      const hitRate = lookups > 0 ? Math.round((stats.hits / lookups) * 100) : 0;
+      element.textContent = I18n.t('cacheStats', stats.entries, (stats.bytes / 1024).toFixed(0), stats.hits, lookups, hitRate);
+    } catch (error) {
+      console.error('Error loading cache stats:', error);
+      element.textContent = I18n.t('cacheStatsUnavailable');
+    }
+  }
+
+  async clearCache() {
+    try {
+      await chrome.runtime.sendMessage({ action: 'clearCache' });
+      this.showStatus(I18n.t('cacheCleared'));
+    } catch (error) {
+      console.error('Error clearing cache:', error);
+      this.showStatus(I18n.t('cacheClearFailed'));
+    }
+    this.showCacheStats();
+  }
+
+  showStatus(text) {
+    this.saveStatus.textContent = text;
+    clearTimeout(this.statusTimer);
+    this.statusTimer = setTimeout(() => {
+      this.saveStatus.textContent = '';
+    }, 2000);
+  }
+}
+
+new OptionsPage();
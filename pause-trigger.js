@@ -0,0 +1,207 @@
+/**
+ * Pause trigger engine for Video Recap Assistant
+ * Tells a real "I stepped away" pause apart from seeks, buffering, ads and
+ * quick pause/play taps, and fires when the viewer comes back
+ */
+
+const PAUSE_SETTLE_MS = 700; // Players often pause around seeks; wait this long before trusting a pause
+const END_MARGIN_SECONDS = 1; // Pauses this close to the end count as the media ending
+
+class PauseTriggerEngine {
+  /**
+   * @param {Object} options
+   * @param {() => number} options.getMinPauseMs - How long the viewer must be away
+   * @param {(element: HTMLMediaElement, info: {pausedForMs: number, reason: string}) => void} options.onTrigger
+   * @param {(element: HTMLMediaElement) => boolean} [options.isAdPlaying]
+   * @param {() => void} [options.onActivity] - Input in this frame, e.g. to pass on to other frames
+   * @param {(waiting: boolean) => void} [options.onWaitingChange] - Started or stopped waiting for a return
+   */
+  constructor({ getMinPauseMs, onTrigger, isAdPlaying = () => false, onActivity = () => {}, onWaitingChange = () => {} }) {
+    this.getMinPauseMs = getMinPauseMs;
+    this.onTrigger = onTrigger;
+    this.isAdPlaying = isAdPlaying;
+    this.onActivity = onActivity;
+    this.onWaitingChange = onWaitingChange;
+
+    this.pending = new Map(); // element -> { since, position, settled, awaySince, lastActivityAt }
+    this.waiting = false;
+    this.idleState = 'active';
+
+    this.handleActivity = this.handleActivity.bind(this);
+    this.init();
+  }
+
+  init() {
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) {
+        this.markAway();
+      } else {
+        this.handleReturn('visible');
+      }
+    });
+
+    // Any input means the viewer is at the screen
+    for (const type of ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart']) {
+      window.addEventListener(type, this.handleActivity, { capture: true, passive: true });
+    }
+  }
+
+  /**
+   * Start following a media element's pause/play/seek events
+   * Returns a function that stops following it
+   */
+  watch(element) {
+    const listeners = {
+      pause: () => this.handlePause(element),
+      play: () => this.cancel(element, 'resumed'),
+      seeking: () => this.cancel(element, 'seeking'),
+      ended: () => this.cancel(element, 'ended'),
+      emptied: () => this.cancel(element, 'emptied')
+    };
+
+    for (const [type, listener] of Object.entries(listeners)) {
+      element.addEventListener(type, listener);
+    }
+
+    return () => {
+      for (const [type, listener] of Object.entries(listeners)) {
+        element.removeEventListener(type, listener);
+      }
+      this.pending.delete(element);
+      this.updateWaiting();
+    };
+  }
+
+  /**
+   * Idle state from chrome.idle, relayed by the background worker
+   */
+  setIdleState(state) {
+    this.idleState = state;
+    if (state === 'active') {
+      this.handleReturn('idle-ended');
+    } else {
+      this.markAway();
+    }
+  }
+
+  handlePause(element) {
+    if (this.isIncidentalPause(element)) return;
+
+    const now = Date.now();
+    const away = document.hidden || this.idleState !== 'active';
+
+    this.pending.set(element, {
+      since: now,
+      position: element.currentTime,
+      settled: false,
+      awaySince: away ? now : null,
+      lastActivityAt: now
+    });
+    this.updateWaiting();
+
+    // Seeks and buffering show up just after the pause event, so confirm it later
+    setTimeout(() => {
+      const pause = this.pending.get(element);
+      if (!pause || pause.since !== now) return;
+
+      const moved = Math.abs(element.currentTime - pause.position) > 0.5;
+      if (!element.paused || element.seeking || moved || this.isIncidentalPause(element)) {
+        this.cancel(element, 'not a real pause');
+        return;
+      }
+      pause.settled = true;
+    }, PAUSE_SETTLE_MS);
+  }
+
+  /**
+   * Pauses that are part of seeking, buffering, ending or ads
+   */
+  isIncidentalPause(element) {
+    if (element.seeking) return true;
+    if (element.ended) return true;
+    if (Number.isFinite(element.duration) && element.duration - element.currentTime <= END_MARGIN_SECONDS) return true;
+
+    // Some players pause themselves while the buffer refills
+    if (element.readyState < HTMLMediaElement.HAVE_FUTURE_DATA &&
+        element.networkState === HTMLMediaElement.NETWORK_LOADING) return true;
+
+    try {
+      if (this.isAdPlaying(element)) return true;
+    } catch (error) {
+      console.warn('Ad detection failed:', error);
+    }
+    return false;
+  }
+
+  cancel(element, reason) {
+    if (this.pending.delete(element)) {
+      console.log(`Pause ignored (${reason})`);
+      this.updateWaiting();
+    }
+  }
+
+  /**
+   * Report when the first pause starts waiting for the viewer, or the last one stops
+   */
+  updateWaiting() {
+    const waiting = this.pending.size > 0;
+    if (waiting !== this.waiting) {
+      this.waiting = waiting;
+      this.onWaitingChange(waiting);
+    }
+  }
+
+  markAway() {
+    const now = Date.now();
+    for (const pause of this.pending.values()) {
+      pause.awaySince ??= now;
+    }
+  }
+
+  /**
+   * Input on the page: a return if the viewer had been inactive long enough
+   * Also called for input the top frame passes on, which a child frame can't see
+   */
+  handleActivity(event) {
+    if (event) this.onActivity();
+    if (this.pending.size === 0) return;
+
+    const now = Date.now();
+    const minPauseMs = this.getMinPauseMs();
+
+    for (const [element, pause] of this.pending) {
+      const inactiveSince = Math.max(pause.since, pause.lastActivityAt);
+      if (pause.settled && now - inactiveSince >= minPauseMs) {
+        this.fire(element, pause, 'activity');
+      } else {
+        pause.lastActivityAt = now;
+      }
+    }
+  }
+
+  /**
+   * Tab visible again or system no longer idle
+   */
+  handleReturn(reason) {
+    if (document.hidden || this.idleState !== 'active') return;
+
+    const now = Date.now();
+    const minPauseMs = this.getMinPauseMs();
+
+    for (const [element, pause] of this.pending) {
+      if (pause.settled && pause.awaySince !== null && now - pause.since >= minPauseMs) {
+        this.fire(element, pause, reason);
+      }
+    }
+  }
+
+  fire(element, pause, reason) {
+    this.pending.delete(element);
+    this.updateWaiting();
+    if (!element.paused || !element.isConnected) return;
+
+    const pausedForMs = Date.now() - pause.since;
+    console.log(`Viewer returned after ${Math.round(pausedForMs / 1000)}s (${reason})`);
+    this.onTrigger(element, { pausedForMs, reason });
+  }
+}
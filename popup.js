@@ -0,0 +1,197 @@
+/**
+ * Popup for Video Recap Assistant
+ * Shows the current tab's recap and drives the content script
+ */
+
+// Message keys (see _locales) for each status and transcript source
+const STATUS_LABELS = {
+  idle: 'statusIdle',
+  extracting: 'statusExtracting',
+  summarizing: 'statusSummarizing',
+  done: 'statusDone',
+  'no-transcript': 'statusNoTranscript',
+  error: 'statusError'
+};
+
+const SOURCE_LABELS = {
+  captions: 'sourceCaptions',
+  generic: 'sourceGeneric',
+  live: 'sourceLive',
+  nearby: 'sourceNearby',
+  speech: 'sourceSpeech'
+};
+
+class RecapPopup {
+  constructor() {
+    this.tabId = null;
+    this.state = null;
+    this.pollTimer = null;
+
+    this.summaryText = document.getElementById('summary');
+    this.statusText = document.getElementById('status-text');
+    this.extractionText = document.getElementById('extraction-text');
+    this.recapButton = document.getElementById('recap-now');
+    this.overlayButton = document.getElementById('toggle-overlay');
+    this.exportFormat = document.getElementById('export-format');
+    this.exportButtons = [document.getElementById('export-download'), document.getElementById('export-copy')];
+
+    this.init();
+  }
+
+  async init() {
+    I18n.localize();
+
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    this.tabId = tab?.id ?? null;
+
+    // Opening the popup shows any recap waiting behind the badge
+    if (this.tabId !== null) {
+      chrome.action.setBadgeText({ tabId: this.tabId, text: '' });
+    }
+
+    this.recapButton.addEventListener('click', () => this.recapNow());
+    this.overlayButton.addEventListener('click', () => this.toggleOverlay());
+    document.getElementById('export-download').addEventListener('click', () => this.exportRecap(true));
+    document.getElementById('export-copy').addEventListener('click', () => this.exportRecap(false));
+
+    document.getElementById('open-history').addEventListener('click', (event) => {
+      event.preventDefault();
+      const query = this.state?.videoKey ? `?video=${encodeURIComponent(this.state.videoKey)}` : '';
+      chrome.tabs.create({ url: chrome.runtime.getURL(`history.html${query}`) });
+    });
+
+    document.getElementById('open-settings').addEventListener('click', (event) => {
+      event.preventDefault();
+      chrome.runtime.openOptionsPage();
+    });
+
+    this.refresh();
+  }
+
+  /**
+   * Send a message to the tab's content script, resolving null if there is none
+   */
+  async sendToTab(message) {
+    if (this.tabId === null) return null;
+
+    try {
+      // The top frame answers for media in embedded frames too
+      return await chrome.tabs.sendMessage(this.tabId, message, { frameId: 0 });
+    } catch (error) {
+      // No content script here (chrome:// pages, the Web Store, not yet loaded)
+      return null;
+    }
+  }
+
+  /**
+   * Fetch the tab's recap state and render it
+   */
+  async refresh() {
+    this.state = await this.sendToTab({ action: 'getCurrentSummary' });
+    this.render();
+
+    // Keep updating while a recap is being made
+    clearTimeout(this.pollTimer);
+    if (this.state && ['extracting', 'summarizing'].includes(this.state.status)) {
+      this.pollTimer = setTimeout(() => this.refresh(), 1000);
+    }
+  }
+
+  render() {
+    const state = this.state;
+
+    if (!state) {
+      this.summaryText.textContent = I18n.t('popupUnavailable');
+      this.summaryText.classList.add('empty');
+      this.statusText.textContent = '';
+      this.extractionText.textContent = '';
+      this.recapButton.disabled = true;
+      this.overlayButton.disabled = true;
+      this.setExportEnabled(false);
+      return;
+    }
+
+    this.summaryText.textContent = state.summary || I18n.t('popupNoRecap');
+    this.summaryText.classList.toggle('empty', !state.summary);
+
+    this.statusText.textContent = state.mediaCount > 0
+      ? (STATUS_LABELS[state.status] ? I18n.t(STATUS_LABELS[state.status]) : '')
+      : I18n.t('noMediaFound');
+
+    const extraction = state.extraction;
+    this.extractionText.textContent = extraction?.source ? this.describeExtraction(extraction) : '';
+
+    const busy = ['extracting', 'summarizing'].includes(state.status);
+    this.recapButton.disabled = busy || state.mediaCount === 0;
+    this.recapButton.textContent = I18n.t(busy ? 'working' : 'recapNow');
+
+    this.overlayButton.disabled = !state.summary && !state.hasOverlay;
+    this.overlayButton.textContent = I18n.t(state.hasOverlay ? 'hideOverlay' : 'showOverlay');
+    this.setExportEnabled(Boolean(state.summary));
+  }
+
+  setExportEnabled(enabled) {
+    this.exportFormat.disabled = !enabled;
+    this.exportButtons.forEach(button => {
+      button.disabled = !enabled;
+    });
+  }
+
+  /**
+   * e.g. "Source: caption track · 1,234 characters · in German · 92% confidence"
+   */
+  describeExtraction({ source, chars, language, confidence }) {
+    const parts = [
+      I18n.t('extractionSource', SOURCE_LABELS[source] ? I18n.t(SOURCE_LABELS[source]) : I18n.t('sourceSite', source)),
+      I18n.t('extractionChars', chars.toLocaleString())
+    ];
+    if (language) parts.push(I18n.t('extractionLanguage', I18n.languageName(language)));
+    if (confidence !== undefined) parts.push(I18n.t('extractionConfidence', Math.round(confidence * 100)));
+    return parts.join(' · ');
+  }
+
+  async recapNow() {
+    this.recapButton.disabled = true;
+
+    // The response only comes back once the recap is done, so poll meanwhile
+    const request = this.sendToTab({ action: 'recapNow' });
+    setTimeout(() => this.refresh(), 300);
+
+    const response = await request;
+    if (response && !response.success) {
+      this.statusText.textContent = response.error;
+    }
+    this.refresh();
+  }
+
+  /**
+   * Save the recap in the chosen format, or copy it to the clipboard
+   */
+  async exportRecap(download) {
+    const response = await this.sendToTab({ action: 'exportRecap', format: this.exportFormat.value, download });
+    if (!response?.success) {
+      this.statusText.textContent = response?.error || I18n.t('exportFailed');
+      return;
+    }
+
+    if (download) {
+      this.statusText.textContent = I18n.t('exportSaved');
+      return;
+    }
+
+    try {
+      await navigator.clipboard.writeText(response.content);
+      this.statusText.textContent = I18n.t('exportCopied');
+    } catch (error) {
+      console.error('Error copying export:', error);
+      this.statusText.textContent = I18n.t('exportFailed');
+    }
+  }
+
+  async toggleOverlay() {
+    await this.sendToTab({ action: 'toggleOverlay' });
+    this.refresh();
+  }
+}
+
+new RecapPopup();
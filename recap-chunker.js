@@ -0,0 +1,188 @@
+/**
+ * Long-transcript chunking for Video Recap Assistant
+ * Transcripts too long for one request are split into chunks, each chunk is
+ * summarized into notes (map), and the recap is written from the notes (reduce).
+ * Timed transcripts are cut on fixed media-time buckets so a later pause in the
+ * same video produces the same earlier chunks and only the new ones are summarized.
+ */
+
+const CHUNK_CHARS_PER_TOKEN = 4; // Rough estimate across languages and tokenizers
+const CHUNK_DIRECT_LIMIT_TOKENS = 6000; // Up to this, the transcript is sent in one request
+const CHUNK_TARGET_TOKENS = 3000;
+const CHUNK_BUCKET_SECONDS = 300;
+const CHUNK_CONCURRENCY = 3; // Parallel chunk requests, kept low to stay clear of rate limits
+
+class RecapChunker {
+  /**
+   * @param {LLMClient} llm
+   * @param {SummaryCache} cache - Chunk notes are kept alongside recaps
+   */
+  constructor(llm, cache) {
+    this.llm = llm;
+    this.cache = cache;
+  }
+
+  /**
+   * Rough token count for a piece of text
+   */
+  static estimateTokens(text) {
+    return Math.ceil((text?.length || 0) / CHUNK_CHARS_PER_TOKEN);
+  }
+
+  /**
+   * Whether a transcript needs map-reduce rather than a single request
+   */
+  static needsChunking(transcript) {
+    return this.estimateTokens(transcript) > CHUNK_DIRECT_LIMIT_TOKENS;
+  }
+
+  /**
+   * Split segments into chunks of whole segments
+   * Timed segments are grouped into media-time buckets first, so boundaries
+   * don't move as the transcript grows; buckets still too long are split by size
+   * Returns [{ start, end, segments }]
+   */
+  static split(segments) {
+    const groups = [];
+    segments = segments.flatMap(segment => this.splitLongSegment(segment));
+
+    if (TranscriptSegments.isTimed(segments)) {
+      const buckets = new Map();
+      for (const segment of segments) {
+        const bucket = Math.floor((segment.start ?? 0) / CHUNK_BUCKET_SECONDS);
+        if (!buckets.has(bucket)) buckets.set(bucket, []);
+        buckets.get(bucket).push(segment);
+      }
+      groups.push(...[...buckets.entries()].sort(([a], [b]) => a - b).map(([, bucket]) => bucket));
+    } else {
+      groups.push(segments);
+    }
+
+    return groups.flatMap(group => this.splitBySize(group)).map(chunk => ({
+      start: chunk[0].start,
+      end: chunk[chunk.length - 1].end ?? chunk[chunk.length - 1].start,
+      segments: chunk
+    }));
+  }
+
+  /**
+   * Cut a run of segments into pieces of about CHUNK_TARGET_TOKENS, on segment boundaries
+   */
+  static splitBySize(segments) {
+    const chunks = [];
+    let current = [];
+    let tokens = 0;
+
+    for (const segment of segments) {
+      const segmentTokens = this.estimateTokens(segment.text);
+      if (current.length > 0 && tokens + segmentTokens > CHUNK_TARGET_TOKENS) {
+        chunks.push(current);
+        current = [];
+        tokens = 0;
+      }
+      current.push(segment);
+      tokens += segmentTokens;
+    }
+
+    if (current.length > 0) chunks.push(current);
+    return chunks;
+  }
+
+  /**
+   * Break a segment longer than a chunk (e.g. untimed text scraped from the page) at word boundaries
+   */
+  static splitLongSegment(segment) {
+    const maxChars = CHUNK_TARGET_TOKENS * CHUNK_CHARS_PER_TOKEN;
+    if (segment.text.length <= maxChars) return [segment];
+
+    const pieces = [];
+    let rest = segment.text;
+    while (rest.length > maxChars) {
+      const cut = rest.lastIndexOf(' ', maxChars);
+      const end = cut > maxChars / 2 ? cut : maxChars;
+      pieces.push(rest.slice(0, end).trim());
+      rest = rest.slice(end);
+    }
+    if (rest.trim()) pieces.push(rest.trim());
+
+    // Only the first piece keeps the start time we know
+    return pieces.map((text, index) => ({ ...segment, start: index === 0 ? segment.start : null, end: null, text }));
+  }
+
+  /**
+   * Summarize every chunk into notes, reusing cached notes for unchanged chunks
+   * Returns the notes joined in media order, ready for the final recap prompt
+   */
+  async summarize(segments, settings, { signal } = {}) {
+    const chunks = RecapChunker.split(segments);
+    const notes = new Array(chunks.length);
+    let reused = 0;
+
+    const pending = [];
+    for (const [index, chunk] of chunks.entries()) {
+      const key = await this.getCacheKey(chunk, settings);
+      const cached = await this.cache.get(key);
+      if (cached) {
+        notes[index] = cached;
+        reused++;
+      } else {
+        pending.push({ chunk, index, key });
+      }
+    }
+
+    console.log(`Summarizing ${pending.length} of ${chunks.length} transcript chunks (${reused} cached)`);
+
+    // A small pool of workers pulling from the queue
+    const queue = [...pending];
+    const worker = async () => {
+      while (queue.length > 0) {
+        const { chunk, index, key } = queue.shift();
+        notes[index] = await this.llm.complete(this.buildChunkPrompt(chunk, settings), { signal });
+        this.cache.set(key, notes[index]).catch(error => console.error('Error caching chunk notes:', error));
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(CHUNK_CONCURRENCY, queue.length) }, worker));
+
+    return chunks.map((chunk, index) => {
+      const heading = chunk.start !== null
+        ? `Part ${index + 1} (${TranscriptSegments.formatTimestamp(chunk.start)}-${TranscriptSegments.formatTimestamp(chunk.end)})`
+        : `Part ${index + 1}`;
+      return `${heading}\n${notes[index]}`;
+    }).join('\n\n');
+  }
+
+  /**
+   * Prompt for notes on one chunk, keeping times so chapters survive the reduce step
+   */
+  buildChunkPrompt(chunk, settings) {
+    const language = settings.outputLanguage
+      ? `Write the notes in the language with code "${settings.outputLanguage}".`
+      : 'Write the notes in the same language as the transcript.';
+    const translate = settings.transcriptLanguage && settings.outputLanguage &&
+      !I18n.sameLanguage(settings.transcriptLanguage, settings.outputLanguage)
+      ? ' The transcript is in another language, so translate as you go.'
+      : '';
+
+    return {
+      system: 'You are taking notes on one part of a longer video or podcast transcript. ' +
+        'Write 3-8 concise bullet points covering what is said, in order. ' +
+        'Where the transcript has [m:ss] times, start each bullet with the time its topic begins. ' +
+        `Keep names and terms that are introduced. ${language}${translate}`,
+      messages: [{ role: 'user', content: TranscriptSegments.toTimedText(chunk.segments) }],
+      maxTokens: 400
+    };
+  }
+
+  /**
+   * Notes only depend on the chunk's text, the output language and who writes them
+   */
+  getCacheKey(chunk, settings) {
+    return SummaryCache.createKey(
+      'chunk',
+      this.llm.providerName,
+      this.llm.config.model,
+      settings.outputLanguage,
+      SummaryCache.normalize(TranscriptSegments.toTimedText(chunk.segments))
+    );
+  }
+}
@@ -0,0 +1,170 @@
+/**
+ * Recap export for Video Recap Assistant
+ * Turns a recap and its transcript into files for notes tools and flashcards:
+ * Markdown notes, JSON, SRT/VTT subtitles and Anki CSV
+ */
+
+const EXPORT_FORMATS = {
+  markdown: { extension: 'md', mimeType: 'text/markdown', label: 'exportMarkdown' },
+  json: { extension: 'json', mimeType: 'application/json', label: 'exportJson' },
+  srt: { extension: 'srt', mimeType: 'application/x-subrip', label: 'exportSrt' },
+  vtt: { extension: 'vtt', mimeType: 'text/vtt', label: 'exportVtt' },
+  anki: { extension: 'csv', mimeType: 'text/csv', label: 'exportAnki' }
+};
+
+const EXPORT_LAST_CUE_SECONDS = 4; // Length given to a final cue with no end time
+
+/**
+ * @typedef {Object} RecapExportData
+ * @property {string} title - Page title
+ * @property {string} url
+ * @property {Recap} recap
+ * @property {number|null} mediaTime - Where the media was paused
+ * @property {{from: number, to: number}} window - Part of the media the recap covers
+ * @property {Array} segments - Transcript segments for that part
+ * @property {number} createdAt
+ */
+
+class RecapExport {
+  /**
+   * Build the file for a format
+   * Returns { filename, mimeType, content }; throws NO_TIMED_TRANSCRIPT for
+   * subtitles of a transcript without times
+   * @param {keyof EXPORT_FORMATS} format
+   * @param {RecapExportData} data
+   */
+  static build(format, data) {
+    const { extension, mimeType } = EXPORT_FORMATS[format] || {};
+    if (!extension) throw new Error(`Unknown export format: ${format}`);
+
+    const builders = {
+      markdown: () => this.toMarkdown(data),
+      json: () => this.toJson(data),
+      srt: () => this.toSubtitles(data.segments, 'srt'),
+      vtt: () => this.toSubtitles(data.segments, 'vtt'),
+      anki: () => this.toAnkiCsv(data)
+    };
+
+    return { filename: this.filename(data, extension), mimeType, content: builders[format]() };
+  }
+
+  /**
+   * Notes with the page title and link, the recapped stretch and each recap part
+   */
+  static toMarkdown({ title, url, recap, mediaTime, window, createdAt }) {
+    const format = (seconds) => TranscriptSegments.formatTimestamp(seconds);
+    const lines = [`# ${title}`, '', `<${url}>`, ''];
+
+    const details = [];
+    if (Number.isFinite(window?.from) && Number.isFinite(window?.to)) {
+      details.push(I18n.t('exportCovers', format(window.from), format(window.to)));
+    }
+    if (Number.isFinite(mediaTime)) {
+      details.push(I18n.t('exportPausedAt', format(mediaTime)));
+    }
+    details.push(new Date(createdAt).toLocaleString());
+    lines.push(details.join(' · '), '');
+
+    if (recap.leftOff) lines.push(`**${recap.leftOff}**`, '');
+    if (recap.summary) lines.push(recap.summary, '');
+
+    if (recap.keyPoints.length > 0) {
+      lines.push(`## ${I18n.t('keyPoints')}`, '', ...recap.keyPoints.map(point => `- ${point}`), '');
+    }
+    if (recap.terms.length > 0) {
+      lines.push(`## ${I18n.t('terms')}`, '');
+      lines.push(...recap.terms.map(({ term, definition }) => (definition ? `- **${term}**: ${definition}` : `- **${term}**`)));
+      lines.push('');
+    }
+    if (recap.chapters.length > 0) {
+      lines.push(`## ${I18n.t('chapters')}`, '');
+      lines.push(...recap.chapters.map(({ start, title: chapter }) => `- ${format(start)} ${chapter}`));
+      lines.push('');
+    }
+
+    return lines.join('\n');
+  }
+
+  static toJson({ title, url, recap, mediaTime, window, segments, createdAt }) {
+    return JSON.stringify({
+      title,
+      url,
+      createdAt: new Date(createdAt).toISOString(),
+      mediaTime,
+      window,
+      recap,
+      transcript: segments.map(({ start, end, text }) => ({ start, end, text }))
+    }, null, 2);
+  }
+
+  /**
+   * The timed transcript as SRT or WebVTT cues
+   * @param {Array} segments
+   * @param {'srt'|'vtt'} type
+   */
+  static toSubtitles(segments, type) {
+    const timed = segments.filter(segment => segment.start !== null && segment.text.trim());
+    if (timed.length === 0) {
+      const error = new Error('Transcript has no timestamps');
+      error.code = 'NO_TIMED_TRANSCRIPT';
+      throw error;
+    }
+
+    const cues = timed.map((segment, index) => {
+      const next = timed[index + 1];
+      const end = segment.end ?? next?.start ?? segment.start + EXPORT_LAST_CUE_SECONDS;
+      const times = `${this.formatCueTime(segment.start, type)} --> ${this.formatCueTime(Math.max(end, segment.start), type)}`;
+      const text = segment.text.replace(/\s+/g, ' ').trim();
+      return type === 'srt' ? `${index + 1}\n${times}\n${text}` : `${times}\n${text}`;
+    });
+
+    return type === 'srt' ? `${cues.join('\n\n')}\n` : `WEBVTT\n\n${cues.join('\n\n')}\n`;
+  }
+
+  /**
+   * 00:01:02,500 for SRT, 00:01:02.500 for WebVTT
+   */
+  static formatCueTime(seconds, type) {
+    const millis = Math.round(Math.max(0, seconds) * 1000);
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    const time = `${pad(Math.floor(millis / 3600000))}:${pad(Math.floor(millis / 60000) % 60)}:${pad(Math.floor(millis / 1000) % 60)}`;
+    return `${time}${type === 'srt' ? ',' : '.'}${pad(millis % 1000, 3)}`;
+  }
+
+  /**
+   * Basic Anki notes: one per key point, and one per term with a definition
+   * The header lines tell Anki's importer the separator, note type, columns and tag column
+   */
+  static toAnkiCsv({ title, recap, mediaTime }) {
+    const tag = title.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '_').replace(/^_+|_+$/g, '') || 'recap';
+    const where = Number.isFinite(mediaTime) ? ` (${TranscriptSegments.formatTimestamp(mediaTime)})` : '';
+
+    const notes = [
+      ...recap.keyPoints.map((point, index) => [I18n.t('exportKeyPointFront', `${title}${where}`, index + 1), point]),
+      ...recap.terms.filter(({ definition }) => definition).map(({ term, definition }) => [term, definition])
+    ];
+
+    return [
+      '#separator:Comma',
+      '#html:false',
+      '#notetype:Basic',
+      '#columns:Front,Back,Tags',
+      '#tags column:3',
+      ...notes.map(([front, back]) => [front, back, tag].map(field => this.csvField(field)).join(','))
+    ].join('\n') + '\n';
+  }
+
+  static csvField(value) {
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * e.g. "intro-to-rust-12-34.md" for a recap paused at 12:34
+   */
+  static filename({ title, mediaTime }, extension) {
+    const name = title.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'recap';
+    const time = Number.isFinite(mediaTime) ? `-${TranscriptSegments.formatTimestamp(mediaTime).replace(/:/g, '-')}` : '';
+    return `${name}${time}.${extension}`;
+  }
+}
@@ -0,0 +1,177 @@
+/**
+ * Structured recap format for Video Recap Assistant
+ * The summarization provider answers with JSON:
+ *   { leftOff, summary, keyPoints: [], terms: [{ term, definition }], chapters: [{ start, title }] }
+ * These helpers parse it (also while it is still streaming in) and turn it back into text
+ */
+
+/**
+ * @typedef {Object} Recap
+ * @property {string} leftOff - One sentence on where the viewer left off
+ * @property {string} summary - Recap in the user's chosen length and tone
+ * @property {string[]} keyPoints
+ * @property {Array<{term: string, definition: string}>} terms - Names and terms introduced
+ * @property {Array<{start: number, title: string}>} chapters - Media time in seconds
+ * @property {string} language - Language code the recap is written in, '' if unknown
+ */
+
+const RECAP_MAX_KEY_POINTS = 5;
+const RECAP_MAX_TERMS = 8;
+const RECAP_MAX_CHAPTERS = 12;
+
+class RecapFormat {
+  static empty() {
+    return { leftOff: '', summary: '', keyPoints: [], terms: [], chapters: [], language: '' };
+  }
+
+  /**
+   * Parse a finished response; text that isn't JSON becomes a plain summary
+   */
+  static parse(text) {
+    const json = this.extractJson(text);
+
+    try {
+      return this.normalize(JSON.parse(json));
+    } catch {
+      console.warn('Recap response was not JSON, using it as plain text');
+      return { ...this.empty(), summary: String(text ?? '').trim() };
+    }
+  }
+
+  /**
+   * Parse a response that is still streaming in, by closing whatever is open
+   * Returns the fields complete so far
+   */
+  static parsePartial(text) {
+    const json = this.extractJson(text);
+    if (!json.startsWith('{')) {
+      return { ...this.empty(), summary: json };
+    }
+
+    // Each retry drops the last, unfinished value
+    let candidate = json;
+    for (let attempt = 0; attempt < 4 && candidate; attempt++) {
+      try {
+        return this.normalize(JSON.parse(this.closeJson(candidate)));
+      } catch {
+        candidate = candidate.slice(0, Math.max(candidate.lastIndexOf(','), 0));
+      }
+    }
+    return this.empty();
+  }
+
+  /**
+   * Strip code fences and text around the JSON object
+   */
+  static extractJson(text) {
+    const trimmed = String(text ?? '').trim().replace(/^`{1,3}[a-z]*\s*/i, '').replace(/\s*```$/, '');
+    const start = trimmed.indexOf('{');
+    return start === -1 ? trimmed : trimmed.slice(start);
+  }
+
+  /**
+   * Complete truncated JSON: close the open string, drop a dangling key and close brackets
+   */
+  static closeJson(json) {
+    const stack = [];
+    let inString = false;
+    let escaped = false;
+
+    for (const char of json) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = inString;
+      } else if (char === '"') {
+        inString = !inString;
+      } else if (!inString && (char === '{' || char === '[')) {
+        stack.push(char === '{' ? '}' : ']');
+      } else if (!inString && (char === '}' || char === ']')) {
+        stack.pop();
+      }
+    }
+
+    let closed = json;
+    if (escaped) closed = closed.slice(0, -1);
+    if (inString) closed += '"';
+
+    closed = closed
+      .replace(/,\s*"[^"]*"\s*:?\s*$/, '') // Key with no value yet
+      .replace(/\{\s*"[^"]*"\s*:?\s*$/, '{')
+      .replace(/[,:]\s*$/, '');
+
+    return closed + stack.reverse().join('');
+  }
+
+  /**
+   * Coerce a parsed object into a Recap, dropping anything malformed
+   */
+  static normalize(raw) {
+    if (!raw || typeof raw !== 'object') return this.empty();
+
+    const text = (value) => (typeof value === 'string' ? value.trim() : '');
+    const list = (value) => (Array.isArray(value) ? value : []);
+
+    const chapters = list(raw.chapters)
+      .map(chapter => ({
+        start: typeof chapter?.start === 'number'
+          ? chapter.start
+          : TranscriptSegments.parseTimestamp(String(chapter?.start ?? '')),
+        title: text(chapter?.title)
+      }))
+      .filter(chapter => Number.isFinite(chapter.start) && chapter.title)
+      .sort((a, b) => a.start - b.start);
+
+    return {
+      leftOff: text(raw.leftOff),
+      summary: text(raw.summary),
+      keyPoints: list(raw.keyPoints).map(text).filter(Boolean).slice(0, RECAP_MAX_KEY_POINTS),
+      terms: list(raw.terms)
+        .map(item => (typeof item === 'string'
+          ? { term: text(item), definition: '' }
+          : { term: text(item?.term), definition: text(item?.definition) }))
+        .filter(item => item.term)
+        .slice(0, RECAP_MAX_TERMS),
+      chapters: chapters.slice(0, RECAP_MAX_CHAPTERS),
+      language: text(raw.language)
+    };
+  }
+
+  /**
+   * Accept older plain-string summaries wherever a Recap is expected
+   */
+  static from(value) {
+    if (typeof value === 'string') return { ...this.empty(), summary: value };
+    return this.normalize(value);
+  }
+
+  /**
+   * Whether there is anything to show yet
+   */
+  static hasContent(recap) {
+    return Boolean(recap && (recap.leftOff || recap.summary || recap.keyPoints.length > 0));
+  }
+
+  /**
+   * Plain text for the popup and history search
+   */
+  static toText(recap) {
+    if (!recap) return '';
+    if (typeof recap === 'string') return recap;
+
+    return [
+      recap.leftOff,
+      recap.summary,
+      recap.keyPoints.map(point => `- ${point}`).join('\n')
+    ].filter(Boolean).join('\n\n');
+  }
+
+  /**
+   * The parts read aloud, in the order the overlay shows them:
+   * where you left off, the recap, then each key point
+   */
+  static toSpeechParts(recap) {
+    const { leftOff, summary, keyPoints } = this.from(recap);
+    return [leftOff, summary, ...keyPoints].filter(Boolean);
+  }
+}
@@ -0,0 +1,324 @@
+/**
+ * Recap history store for Video Recap Assistant
+ * Keeps every pause's recap per video in chrome.storage.local, one key per video
+ * Only the background worker uses it; pages ask the worker to read or change history
+ */
+
+/**
+ * @typedef {Object} RecapEntry
+ * @property {string} id
+ * @property {number} createdAt - Epoch milliseconds
+ * @property {number|null} mediaTime - Pause position in seconds
+ * @property {{from: number, to: number|null}} window - Transcript window that was summarized
+ * @property {string} summary - Plain-text recap, used for search
+ * @property {Recap|null} recap - Structured recap (key points, terms, chapters), when available
+ * @property {string} transcript - Source transcript window (truncated)
+ * @property {Array} segments - Timestamped segments of the window, when known
+ */
+
+/**
+ * @typedef {Object} RecapVideo
+ * @property {string} videoKey
+ * @property {string} url
+ * @property {string} title
+ * @property {number} updatedAt
+ * @property {number} entryCount
+ * @property {number} bytes - Size of the video's stored recaps, in UTF-8 bytes of their JSON
+ */
+
+// The index of videos lives under this key, each video's recaps under `${key}:${videoKey}`
+const HISTORY_STORAGE_KEY = 'recapHistory';
+const HISTORY_VERSION = 2;
+
+const HISTORY_LIMITS = {
+  maxBytes: 6 * 1024 * 1024, // storage.local holds 10 MB, shared with the summary cache and settings
+  maxVideoBytes: 1024 * 1024, // A video's oldest recaps go first past this
+  maxAgeDays: 30,
+  maxTranscriptChars: 20000
+};
+
+class RecapHistory {
+  constructor(limits = {}) {
+    this.limits = { ...HISTORY_LIMITS, ...limits };
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Storage key holding one video's recaps
+   */
+  static getEntriesKey(videoKey) {
+    return `${HISTORY_STORAGE_KEY}:${videoKey}`;
+  }
+
+  /**
+   * Size of a value in storage, in UTF-8 bytes of its JSON
+   */
+  static measure(value) {
+    return new TextEncoder().encode(JSON.stringify(value)).length;
+  }
+
+  /**
+   * Stable key for a page: the video ID where we know the site, else the cleaned URL
+   */
+  static getVideoKey(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return url;
+    }
+
+    const host = parsed.hostname.replace(/^(www|m)\./, '');
+
+    if (host === 'youtube.com' || host === 'youtube-nocookie.com') {
+      const id = parsed.searchParams.get('v') || parsed.pathname.match(/^\/(?:embed|shorts|live)\/([\w-]+)/)?.[1];
+      if (id) return `youtube:${id}`;
+    }
+    if (host === 'youtu.be') {
+      return `youtube:${parsed.pathname.slice(1)}`;
+    }
+    if (host === 'vimeo.com' || host === 'player.vimeo.com') {
+      const id = parsed.pathname.match(/(\d{6,})/)?.[1];
+      if (id) return `vimeo:${id}`;
+    }
+
+    // Drop fragments and tracking parameters so the same page maps to one key
+    parsed.hash = '';
+    for (const param of Array.from(parsed.searchParams.keys())) {
+      if (/^(utm_|fbclid|gclid|t$|time_continue$)/.test(param)) {
+        parsed.searchParams.delete(param);
+      }
+    }
+    return parsed.toString();
+  }
+
+  /**
+   * All videos with their recaps, most recently updated first
+   */
+  async getVideos() {
+    const index = await this.loadIndex();
+    const videos = Object.values(index.videos);
+    const stored = await chrome.storage.local.get(videos.map(video => RecapHistory.getEntriesKey(video.videoKey)));
+
+    return videos
+      .map(video => ({ ...video, entries: stored[RecapHistory.getEntriesKey(video.videoKey)] || [] }))
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  /**
+   * One video's recaps in media-time order
+   */
+  async getVideo(videoKey) {
+    const video = (await this.loadIndex()).videos[videoKey];
+    if (!video) return null;
+
+    const entries = await this.loadEntries(videoKey);
+    return {
+      ...video,
+      entries: entries.sort((a, b) =>
+        (a.mediaTime ?? Infinity) - (b.mediaTime ?? Infinity) || a.createdAt - b.createdAt)
+    };
+  }
+
+  /**
+   * Videos whose title, URL, recaps or transcripts contain the query
+   * Matching entries are returned per video
+   */
+  async search(query) {
+    const needle = query.trim().toLowerCase();
+    const videos = await this.getVideos();
+    if (!needle) return videos;
+
+    return videos.map(video => {
+      const videoMatches = `${video.title} ${video.url}`.toLowerCase().includes(needle);
+      const entries = video.entries.filter(entry =>
+        videoMatches ||
+        entry.summary.toLowerCase().includes(needle) ||
+        entry.transcript.toLowerCase().includes(needle));
+
+      return entries.length > 0 ? { ...video, entries } : null;
+    }).filter(Boolean);
+  }
+
+  /**
+   * Record a recap for a page
+   * Only that video's recaps and the index are written
+   */
+  addEntry({ url, title, mediaTime = null, window = {}, summary, recap = null, transcript = '', segments = [] }) {
+    return this.update(async index => {
+      const videoKey = RecapHistory.getVideoKey(url);
+      const now = Date.now();
+
+      const video = index.videos[videoKey] || { videoKey, url, title, entryCount: 0, bytes: 0 };
+      video.url = url;
+      video.title = title || video.title || url;
+      video.updatedAt = now;
+
+      const entry = {
+        id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        createdAt: now,
+        mediaTime: Number.isFinite(mediaTime) ? mediaTime : null,
+        window: {
+          from: Number.isFinite(window.from) ? window.from : 0,
+          to: Number.isFinite(window.to) ? window.to : null
+        },
+        summary,
+        recap,
+        transcript: transcript.substring(0, this.limits.maxTranscriptChars),
+        segments: this.trimSegments(segments)
+      };
+
+      index.videos[videoKey] = video;
+      await this.saveEntries(index, videoKey, [...await this.loadEntries(videoKey), entry]);
+      return entry;
+    });
+  }
+
+  /**
+   * Delete one recap; the video goes too when it was the last one
+   */
+  deleteEntry(videoKey, entryId) {
+    return this.update(async index => {
+      if (!index.videos[videoKey]) return false;
+
+      const entries = await this.loadEntries(videoKey);
+      await this.saveEntries(index, videoKey, entries.filter(entry => entry.id !== entryId));
+      return true;
+    });
+  }
+
+  /**
+   * Delete every recap for a video
+   */
+  deleteVideo(videoKey) {
+    return this.update(async index => {
+      const existed = Boolean(index.videos[videoKey]);
+      await this.removeVideos(index, [videoKey]);
+      return existed;
+    });
+  }
+
+  /**
+   * Delete all history
+   */
+  clear() {
+    return this.enqueue(async () => {
+      const index = await this.loadIndex();
+      await chrome.storage.local.remove([
+        HISTORY_STORAGE_KEY,
+        ...Object.keys(index.videos).map(videoKey => RecapHistory.getEntriesKey(videoKey))
+      ]);
+    });
+  }
+
+  /**
+   * Keep segments within the transcript character budget
+   */
+  trimSegments(segments) {
+    const kept = [];
+    let chars = 0;
+
+    // Newest segments matter most, so trim from the start of the window
+    for (let i = segments.length - 1; i >= 0; i--) {
+      chars += segments[i].text.length;
+      if (chars > this.limits.maxTranscriptChars) break;
+      kept.unshift({ start: segments[i].start, end: segments[i].end, text: segments[i].text });
+    }
+    return kept;
+  }
+
+  /**
+   * Store a video's recaps after dropping expired ones and, past maxVideoBytes,
+   * the oldest (the newest is always kept); a video left with none is removed
+   */
+  async saveEntries(index, videoKey, entries) {
+    const cutoff = Date.now() - this.limits.maxAgeDays * 24 * 60 * 60 * 1000;
+    const kept = entries.filter(entry => entry.createdAt >= cutoff);
+
+    let bytes = RecapHistory.measure(kept);
+    while (kept.length > 1 && bytes > this.limits.maxVideoBytes) {
+      kept.shift();
+      bytes = RecapHistory.measure(kept);
+    }
+
+    if (kept.length === 0) {
+      await this.removeVideos(index, [videoKey]);
+      return;
+    }
+
+    Object.assign(index.videos[videoKey], { entryCount: kept.length, bytes });
+    await chrome.storage.local.set({ [RecapHistory.getEntriesKey(videoKey)]: kept });
+  }
+
+  async removeVideos(index, videoKeys) {
+    videoKeys.forEach(videoKey => delete index.videos[videoKey]);
+    await chrome.storage.local.remove(videoKeys.map(videoKey => RecapHistory.getEntriesKey(videoKey)));
+  }
+
+  /**
+   * Drop videos not updated within maxAgeDays, then the least recently
+   * updated until the history fits in maxBytes
+   */
+  async prune(index) {
+    const cutoff = Date.now() - this.limits.maxAgeDays * 24 * 60 * 60 * 1000;
+    const videos = Object.values(index.videos).sort((a, b) => b.updatedAt - a.updatedAt);
+
+    let bytes = 0;
+    const stale = videos.filter(video => {
+      bytes += video.bytes;
+      return video.updatedAt < cutoff || bytes > this.limits.maxBytes;
+    });
+
+    if (stale.length > 0) {
+      await this.removeVideos(index, stale.map(video => video.videoKey));
+    }
+    return index;
+  }
+
+  async loadEntries(videoKey) {
+    const key = RecapHistory.getEntriesKey(videoKey);
+    return (await chrome.storage.local.get([key]))[key] || [];
+  }
+
+  /**
+   * The index of videos, splitting v1's single blob into per-video keys first
+   */
+  async loadIndex() {
+    const stored = (await chrome.storage.local.get([HISTORY_STORAGE_KEY]))[HISTORY_STORAGE_KEY];
+    if (!stored) return { version: HISTORY_VERSION, videos: {} };
+    if (stored.version === HISTORY_VERSION) return stored;
+
+    const index = { version: HISTORY_VERSION, videos: {} };
+    const items = {};
+    for (const { entries, ...video } of Object.values(stored.videos)) {
+      items[RecapHistory.getEntriesKey(video.videoKey)] = entries;
+      index.videos[video.videoKey] = { ...video, entryCount: entries.length, bytes: RecapHistory.measure(entries) };
+    }
+    await chrome.storage.local.set({ ...items, [HISTORY_STORAGE_KEY]: index });
+    return index;
+  }
+
+  /**
+   * Read-modify-write of the index, serialized so concurrent saves don't drop entries
+   */
+  update(mutate) {
+    return this.enqueue(async () => {
+      const index = await this.loadIndex();
+      const result = await mutate(index);
+      await chrome.storage.local.set({ [HISTORY_STORAGE_KEY]: await this.prune(index) });
+      return result;
+    });
+  }
+
+  /**
+   * Run a write after the ones already queued
+   * Only the background worker writes, so this queue covers every page
+   */
+  enqueue(task) {
+    const run = this.writeQueue.then(task);
+
+    // Keep the queue going even if this write fails
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+}
@@ -0,0 +1,795 @@
+/**
+ * Recap overlay component for Video Recap Assistant
+ * Renders inside a closed shadow root so page CSS and scripts can't reach it;
+ * all text is set with textContent, never innerHTML.
+ * The panel is a non-modal dialog, and new recaps and messages are also
+ * announced through a live region for screen readers.
+ */
+
+const OVERLAY_HOST_ID = 'video-recap-overlay';
+const ANNOUNCER_HOST_ID = 'video-recap-announcer';
+const LEADING_EMOJI = /^\p{Extended_Pictographic}\uFE0F?\s*/u;
+const SUMMARY_FADE_MS = 15000;
+const MESSAGE_HIDE_MS = 8000;
+const OVERLAY_POSITIONS_KEY = 'overlayPositions';
+const OVERLAY_MARGIN = 16; // Default gap from the player's top-right corner
+const VIEWPORT_MARGIN = 8; // Never closer than this to the window edge
+
+class RecapOverlay {
+  /**
+   * @param {Object} options
+   * @param {() => void} [options.onSpeak] - Speak button clicked
+   * @param {() => void} [options.onPauseSpeech] - Pause/resume button clicked while reading
+   * @param {() => void} [options.onSkipSpeech] - Skip button clicked while reading
+   * @param {(format: string) => void} [options.onExport] - Export format picked (a key of EXPORT_FORMATS)
+   * @param {() => void} [options.onClose] - Overlay closed by the user
+   * @param {(seconds: number) => void} [options.onSeek] - Chapter clicked
+   */
+  constructor({ onSpeak, onPauseSpeech, onSkipSpeech, onExport, onClose, onSeek } = {}) {
+    this.onSpeak = onSpeak;
+    this.onPauseSpeech = onPauseSpeech;
+    this.onSkipSpeech = onSkipSpeech;
+    this.onExport = onExport;
+    this.onClose = onClose;
+    this.onSeek = onSeek;
+    this.speechState = 'idle';
+    this.spokenSentence = null; // Highlighted while read aloud, kept across re-renders
+    this.theme = 'auto';
+    this.announceOnly = false; // Screen-reader mode: no panel, only announcements
+
+    // Focus moves into the panel only when asked (shortcut, popup), and back out when it closes
+    this.focusPending = false;
+    this.returnFocus = null;
+
+    this.host = null;
+    this.shadow = null;
+    this.panel = null;
+    this.timers = [];
+
+    // Placement: follows the paused player, or the user's dragged offset for this site
+    this.anchor = null;
+    this.savedOffset = null; // { dx, dy } from the anchor's top-right corner
+    this.positionFrame = null;
+    this.resizeObserver = new ResizeObserver(() => this.schedulePosition());
+    this.view = null;
+
+    this.schedulePosition = this.schedulePosition.bind(this);
+    this.hideAfterFullscreen = false; // A message shown behind fullscreen media, hidden once it has been seen
+    this.handleFullscreenChange = () => {
+      this.mount();
+      if (this.hideAfterFullscreen && !RecapOverlay.isMediaFullscreen()) {
+        this.hideAfterFullscreen = false;
+        this.schedule(() => this.remove(), MESSAGE_HIDE_MS);
+      }
+    };
+    this.loadSavedOffset();
+    this.watchPictureInPicture();
+  }
+
+  get isOpen() {
+    return Boolean(this.host?.isConnected);
+  }
+
+  /**
+   * Place the overlay relative to this media element
+   */
+  setAnchor(element) {
+    if (this.anchor === element) return;
+
+    if (this.anchor) this.resizeObserver.unobserve(this.anchor);
+    this.anchor = element;
+    if (element) this.resizeObserver.observe(element);
+
+    if (this.isOpen) this.mount();
+  }
+
+  /**
+   * Skip the visual panel and only announce recaps and messages
+   */
+  setAnnounceOnly(announceOnly) {
+    this.announceOnly = announceOnly;
+    if (announceOnly) this.remove();
+  }
+
+  /**
+   * Move keyboard focus into the panel, now or when it next appears
+   */
+  focus() {
+    if (!this.hasFocus()) {
+      this.returnFocus = RecapOverlay.getDeepActiveElement();
+    }
+
+    if (this.panel) {
+      this.panel.focus({ preventScroll: true });
+    } else if (!this.announceOnly) {
+      this.focusPending = true;
+    }
+  }
+
+  hasFocus() {
+    return Boolean(this.shadow?.activeElement);
+  }
+
+  /**
+   * 'auto' follows prefers-color-scheme; 'light' and 'dark' force a theme
+   */
+  setTheme(theme) {
+    this.theme = theme;
+    if (this.panel) {
+      this.panel.dataset.theme = theme;
+    }
+  }
+
+  showLoading() {
+    RecapOverlay.announce(I18n.t('announceGenerating'));
+    if (this.announceOnly) return;
+
+    const content = this.render({ title: I18n.t('loadingTitle'), type: 'loading' });
+    const spinner = RecapOverlay.createElement('div', 'loading-spinner');
+    spinner.setAttribute('aria-hidden', 'true');
+    content.append(spinner, RecapOverlay.createElement('p', null, I18n.t('loadingText')));
+  }
+
+  /**
+   * Show a recap (a Recap object, or plain text); streaming recaps are filled in with updateSummary
+   */
+  showSummary(recap, { streaming = false } = {}) {
+    if (!streaming) this.announceRecap(recap);
+    if (this.announceOnly) return;
+
+    const content = this.render({ title: I18n.t('recapTitle'), type: 'summary', speak: true, footer: true });
+
+    this.recapBody = RecapOverlay.createElement('div', streaming ? 'recap-body streaming' : 'recap-body');
+    if (streaming) this.recapBody.setAttribute('aria-busy', 'true');
+    content.append(this.recapBody);
+    this.renderRecap(RecapFormat.from(recap));
+
+    // Fade out of the way after a while
+    this.schedule(() => this.panel?.classList.add('faded'), SUMMARY_FADE_MS);
+  }
+
+  /**
+   * Replace the recap, e.g. with the fields parsed so far as tokens stream in
+   */
+  updateSummary(recap, { final = false } = {}) {
+    if (this.announceOnly) {
+      if (final) this.announceRecap(recap);
+      return;
+    }
+
+    if (!this.recapBody?.isConnected) {
+      this.showSummary(recap, { streaming: !final });
+      return;
+    }
+
+    this.renderRecap(RecapFormat.from(recap));
+    if (final) {
+      this.recapBody.classList.remove('streaming');
+      this.recapBody.removeAttribute('aria-busy');
+      this.announceRecap(recap);
+    }
+  }
+
+  /**
+   * Announce a finished recap briefly; the full text is in the panel or read aloud
+   */
+  announceRecap(recap) {
+    const { leftOff, summary } = RecapFormat.from(recap);
+    RecapOverlay.announce(I18n.t('announceRecapReady', leftOff || summary));
+  }
+
+  get isStreaming() {
+    return Boolean(this.recapBody?.isConnected && this.recapBody.classList.contains('streaming'));
+  }
+
+  /**
+   * Fill the recap body: where you left off, the recap, key points, terms and chapters
+   */
+  renderRecap(recap) {
+    const create = RecapOverlay.createElement;
+    const sections = [];
+
+    if (recap.leftOff) {
+      sections.push(create('p', 'recap-left-off', recap.leftOff));
+    }
+    if (recap.summary) {
+      sections.push(create('p', 'recap-summary', recap.summary));
+    }
+
+    if (recap.keyPoints.length > 0) {
+      const list = create('ul', 'recap-points');
+      list.append(...recap.keyPoints.map(point => create('li', null, point)));
+      sections.push(create('h4', 'recap-section-title', I18n.t('keyPoints')), list);
+    }
+
+    if (recap.terms.length > 0) {
+      const list = create('dl', 'recap-terms');
+      for (const { term, definition } of recap.terms) {
+        list.append(create('dt', null, term));
+        if (definition) list.append(create('dd', null, definition));
+      }
+      sections.push(create('h4', 'recap-section-title', I18n.t('terms')), list);
+    }
+
+    if (recap.chapters.length > 0) {
+      const list = create('ol', 'recap-chapters');
+      for (const { start, title } of recap.chapters) {
+        const button = create('button', 'chapter-btn');
+        button.type = 'button';
+        button.title = I18n.t('jumpTo', TranscriptSegments.formatTimestamp(start));
+        button.setAttribute('aria-label', I18n.t('jumpToChapter', TranscriptSegments.formatTimestamp(start), title));
+        button.append(create('span', 'chapter-time', TranscriptSegments.formatTimestamp(start)), create('span', null, title));
+        button.addEventListener('click', () => this.onSeek?.(start));
+
+        const item = create('li');
+        item.append(button);
+        list.append(item);
+      }
+      sections.push(create('h4', 'recap-section-title', I18n.t('chapters')), list);
+    }
+
+    // The recap may be in another language than the page and the UI
+    if (recap.language) {
+      this.recapBody.lang = recap.language;
+    } else {
+      this.recapBody.removeAttribute('lang');
+    }
+    this.recapBody.replaceChildren(...sections);
+    this.highlightSentence(this.spokenSentence);
+  }
+
+  /**
+   * Show an info or error message that hides itself after a few seconds
+   */
+  showMessage(title, message, type = 'info') {
+    RecapOverlay.announce(`${title.replace(LEADING_EMOJI, '')}. ${message}`);
+    if (this.announceOnly) return;
+
+    const content = this.render({ title, type });
+    content.append(RecapOverlay.createElement('p', null, message));
+
+    // Behind fullscreen media the message can't be seen yet; it shows when fullscreen ends
+    if (RecapOverlay.isMediaFullscreen()) {
+      this.hideAfterFullscreen = true;
+    } else {
+      this.schedule(() => this.remove(), MESSAGE_HIDE_MS);
+    }
+  }
+
+  /**
+   * Show a short-lived notice under the header (e.g. speech errors)
+   */
+  showNotice(text) {
+    if (!this.panel) {
+      RecapOverlay.announce(text);
+      return;
+    }
+
+    const notice = RecapOverlay.createElement('div', 'recap-notice', text);
+    notice.setAttribute('role', 'alert');
+    this.panel.querySelector('.recap-header').after(notice);
+    this.schedule(() => notice.remove(), 3000);
+  }
+
+  /**
+   * Update the read-aloud buttons: pause and skip only show while reading
+   * @param {'idle'|'speaking'|'paused'} state
+   */
+  setSpeechState(state) {
+    this.speechState = state;
+    const controls = this.shadow?.querySelector('.speech-controls');
+    if (!controls) return;
+
+    const reading = state !== 'idle';
+    const speakButton = controls.querySelector('.speak-btn');
+    speakButton.textContent = reading ? '⏹️' : '🔊';
+    RecapOverlay.setButtonLabel(speakButton, I18n.t(reading ? 'stopReading' : 'readAloud'));
+    speakButton.setAttribute('aria-pressed', String(reading));
+
+    const pauseButton = controls.querySelector('.pause-speech-btn');
+    pauseButton.hidden = !reading;
+    pauseButton.textContent = state === 'paused' ? '▶️' : '⏸️';
+    RecapOverlay.setButtonLabel(pauseButton, I18n.t(state === 'paused' ? 'resumeReading' : 'pauseReading'));
+
+    controls.querySelector('.skip-speech-btn').hidden = !reading;
+  }
+
+  /**
+   * Mark the sentence being read, or clear the mark with null
+   * @param {SpokenSentence|null} sentence
+   */
+  highlightSentence(sentence) {
+    this.spokenSentence = sentence;
+    if (!this.recapBody) return;
+
+    // The same parts, in the same order, as RecapFormat.toSpeechParts
+    const parts = this.recapBody.querySelectorAll('.recap-left-off, .recap-summary, .recap-points li');
+    for (const [index, element] of parts.entries()) {
+      const text = element.textContent;
+      if (index !== sentence?.part) {
+        if (element.childElementCount > 0) element.textContent = text;
+        continue;
+      }
+
+      const mark = RecapOverlay.createElement('mark', 'spoken-sentence', text.slice(sentence.start, sentence.end));
+      element.replaceChildren(text.slice(0, sentence.start), mark, text.slice(sentence.end));
+      mark.scrollIntoView({ block: 'nearest' });
+    }
+  }
+
+  /**
+   * Closed by the user (close button or Escape)
+   */
+  close() {
+    this.remove();
+    this.onClose?.();
+  }
+
+  remove() {
+    // Focus goes back to the page, unless a new panel replaces this one right away
+    if (this.hasFocus()) {
+      this.focusPending = true;
+      queueMicrotask(() => {
+        if (!this.focusPending) return;
+        this.focusPending = false;
+        this.restoreFocus();
+      });
+    }
+
+    this.clearTimers();
+    this.hideAfterFullscreen = false;
+    this.detachViewListeners();
+    this.host?.remove();
+    this.host = null;
+    this.shadow = null;
+    this.panel = null;
+    this.recapBody = null;
+  }
+
+  /**
+   * Build a fresh panel and return its content element
+   */
+  render({ title, type, speak = false, footer = false }) {
+    this.remove();
+    this.createHost();
+
+    this.panel = RecapOverlay.createElement('div', 'recap-overlay');
+    this.panel.dataset.theme = this.theme;
+    this.panel.dataset.type = type;
+    this.panel.lang = chrome.i18n.getUILanguage();
+    this.panel.tabIndex = -1;
+    this.panel.setAttribute('role', 'dialog');
+    this.panel.setAttribute('aria-modal', 'false');
+    this.panel.setAttribute('aria-labelledby', 'recap-title');
+    this.panel.setAttribute('aria-describedby', 'recap-content');
+    if (type === 'loading') this.panel.setAttribute('aria-busy', 'true');
+
+    const header = RecapOverlay.createElement('div', 'recap-header');
+    const controls = RecapOverlay.createElement('div', 'header-controls');
+    header.append(RecapOverlay.createTitle(title), controls);
+    this.enableDragging(header);
+
+    if (speak) {
+      const speechControls = RecapOverlay.createElement('div', 'speech-controls');
+      const buttons = [
+        ['pause-speech-btn', () => this.onPauseSpeech?.()],
+        ['skip-speech-btn', () => this.onSkipSpeech?.()],
+        ['speak-btn', () => this.onSpeak?.()]
+      ];
+      for (const [className, onClick] of buttons) {
+        const button = RecapOverlay.createElement('button', className);
+        button.type = 'button';
+        button.addEventListener('click', onClick);
+        speechControls.append(button);
+      }
+
+      const skipButton = speechControls.querySelector('.skip-speech-btn');
+      skipButton.textContent = '⏭️';
+      RecapOverlay.setButtonLabel(skipButton, I18n.t('skipSentence'));
+      controls.append(speechControls);
+    }
+
+    if (type !== 'loading') {
+      const closeButton = RecapOverlay.createElement('button', 'close-btn', '×');
+      closeButton.type = 'button';
+      closeButton.title = I18n.t('close');
+      closeButton.setAttribute('aria-label', I18n.t('closeRecap'));
+      closeButton.addEventListener('click', () => this.close());
+      controls.append(closeButton);
+
+      this.panel.addEventListener('keydown', (event) => {
+        if (event.key !== 'Escape') return;
+        event.stopPropagation(); // Don't let the page's player handle it too
+        this.close();
+      });
+    }
+
+    const content = RecapOverlay.createElement('div', 'recap-content');
+    content.id = 'recap-content';
+    this.panel.append(header, content);
+
+    if (footer) {
+      const footerElement = RecapOverlay.createElement('div', 'recap-footer');
+      footerElement.append(this.createExportPicker(), RecapOverlay.createElement('small', null, I18n.t('generatedBy')));
+      this.panel.append(footerElement);
+    }
+
+    this.shadow.append(this.panel);
+    this.setSpeechState(this.speechState);
+    // Loading and messages wait (and are announced) until fullscreen ends; a recap is what the viewer came back for
+    if (type === 'summary') this.leaveMediaFullscreen();
+    this.mount();
+
+    if (this.focusPending) {
+      this.focusPending = false;
+      this.panel.focus({ preventScroll: true });
+    }
+    return content;
+  }
+
+  /**
+   * "Export…" picker; choosing a format exports it and resets the picker
+   */
+  createExportPicker() {
+    const select = RecapOverlay.createElement('select', 'export-select');
+    select.setAttribute('aria-label', I18n.t('exportRecap'));
+
+    const placeholder = RecapOverlay.createElement('option', null, I18n.t('exportRecap'));
+    placeholder.value = '';
+    select.append(placeholder);
+    for (const [format, { label }] of Object.entries(EXPORT_FORMATS)) {
+      const option = RecapOverlay.createElement('option', null, I18n.t(label));
+      option.value = format;
+      select.append(option);
+    }
+
+    select.addEventListener('change', () => {
+      if (!select.value) return;
+      this.onExport?.(select.value);
+      select.value = '';
+    });
+    return select;
+  }
+
+  /**
+   * Tooltip and accessible name for an icon-only button
+   */
+  static setButtonLabel(button, label) {
+    button.title = label;
+    button.setAttribute('aria-label', label);
+  }
+
+  /**
+   * Panel title with any leading emoji hidden from screen readers
+   */
+  static createTitle(title) {
+    const heading = RecapOverlay.createElement('h3', 'recap-title');
+    heading.id = 'recap-title';
+
+    const emoji = title.match(LEADING_EMOJI)?.[0];
+    if (emoji) {
+      const icon = RecapOverlay.createElement('span', null, emoji);
+      icon.setAttribute('aria-hidden', 'true');
+      heading.append(icon);
+    }
+    heading.append(title.slice(emoji?.length || 0));
+    return heading;
+  }
+
+  /**
+   * Put focus back where it was before the panel took it
+   */
+  restoreFocus() {
+    const target = this.returnFocus;
+    this.returnFocus = null;
+    if (target?.isConnected && target !== document.body) {
+      target.focus({ preventScroll: true });
+    }
+  }
+
+  /**
+   * Create the host element and its closed shadow root
+   */
+  createHost() {
+    document.getElementById(OVERLAY_HOST_ID)?.remove();
+
+    this.host = document.createElement('div');
+    this.host.id = OVERLAY_HOST_ID;
+
+    // Inline !important styles win over page rules targeting the host
+    const hostStyles = {
+      all: 'initial',
+      position: 'fixed',
+      top: '20px',
+      left: '0px',
+      'z-index': '2147483647',
+      visibility: 'hidden' // Until the stylesheet has loaded
+    };
+    for (const [property, value] of Object.entries(hostStyles)) {
+      this.host.style.setProperty(property, value, 'important');
+    }
+
+    this.shadow = this.host.attachShadow({ mode: 'closed' });
+
+    const stylesheet = document.createElement('link');
+    stylesheet.rel = 'stylesheet';
+    stylesheet.href = chrome.runtime.getURL('summary-overlay.css');
+    const host = this.host;
+    const reveal = () => {
+      host.style.setProperty('visibility', 'visible', 'important');
+      this.updatePosition();
+    };
+    stylesheet.addEventListener('load', reveal);
+    stylesheet.addEventListener('error', reveal);
+    this.shadow.append(stylesheet);
+  }
+
+  /**
+   * Where the overlay has to live to be visible: the Picture-in-Picture
+   * window holding the player, the fullscreen element, or the page body
+   */
+  getMountTarget() {
+    const pipWindow = window.documentPictureInPicture?.window;
+    if (pipWindow && this.anchor && pipWindow.document.contains(this.anchor)) {
+      return pipWindow.document.body;
+    }
+
+    const fullscreen = document.fullscreenElement;
+    if (fullscreen && !RecapOverlay.isMediaFullscreen()) {
+      return fullscreen;
+    }
+
+    // Also when the viewer takes the media itself fullscreen with a recap open:
+    // it shows again when they leave
+    return document.body;
+  }
+
+  /**
+   * Whether a <video>, <audio> or <iframe> is itself the fullscreen element
+   * Those can't hold children, so nothing can be drawn over them
+   */
+  static isMediaFullscreen() {
+    return ['VIDEO', 'AUDIO', 'IFRAME'].includes(document.fullscreenElement?.tagName);
+  }
+
+  /**
+   * Leave fullscreen when the media itself is fullscreen, so a recap is seen
+   * rather than drawn behind it
+   */
+  leaveMediaFullscreen() {
+    if (!RecapOverlay.isMediaFullscreen()) return;
+
+    document.exitFullscreen().catch(error => {
+      console.warn('Could not leave fullscreen to show the recap:', error);
+    });
+  }
+
+  /**
+   * Move the host into its mount target and follow that window's layout
+   */
+  mount() {
+    if (!this.host) return;
+
+    const target = this.getMountTarget();
+    if (this.host.parentNode !== target) {
+      target.appendChild(this.host);
+    }
+
+    const view = target.ownerDocument.defaultView;
+    if (view !== this.view) {
+      this.detachViewListeners();
+      this.view = view;
+      view.addEventListener('scroll', this.schedulePosition, { capture: true, passive: true });
+      view.addEventListener('resize', this.schedulePosition);
+      view.document.addEventListener('fullscreenchange', this.handleFullscreenChange);
+    }
+
+    this.updatePosition();
+  }
+
+  detachViewListeners() {
+    if (!this.view) return;
+
+    this.view.removeEventListener('scroll', this.schedulePosition, { capture: true });
+    this.view.removeEventListener('resize', this.schedulePosition);
+    this.view.document.removeEventListener('fullscreenchange', this.handleFullscreenChange);
+    this.view = null;
+  }
+
+  /**
+   * Re-mount when the player moves into or out of a Document Picture-in-Picture window
+   */
+  watchPictureInPicture() {
+    const pip = window.documentPictureInPicture;
+    if (!pip) return;
+
+    pip.addEventListener('enter', (event) => {
+      const pipWindow = event.window;
+      // Players move their element into the new window right after it opens
+      setTimeout(() => this.mount(), 0);
+      pipWindow.addEventListener('pagehide', () => setTimeout(() => this.mount(), 0));
+    });
+  }
+
+  schedulePosition() {
+    if (this.positionFrame || !this.view) return;
+    this.positionFrame = this.view.requestAnimationFrame(() => {
+      this.positionFrame = null;
+      this.updatePosition();
+    });
+  }
+
+  /**
+   * Rectangle the overlay is placed against, in the host window's viewport
+   */
+  getAnchorRect() {
+    const view = this.host.ownerDocument.defaultView;
+    if (this.anchor?.isConnected && this.anchor.ownerDocument === this.host.ownerDocument) {
+      const rect = this.anchor.getBoundingClientRect();
+      if (rect.width > 0 && rect.height > 0) return rect;
+    }
+    return { top: 0, left: 0, right: view.innerWidth, bottom: view.innerHeight };
+  }
+
+  /**
+   * Keep the overlay at its offset from the anchor's top-right corner, inside the viewport
+   */
+  updatePosition() {
+    if (!this.host || !this.panel) return;
+
+    const view = this.host.ownerDocument.defaultView;
+    const rect = this.getAnchorRect();
+    const width = this.panel.offsetWidth || 350;
+    const height = this.panel.offsetHeight || 0;
+    const offset = this.savedOffset || { dx: OVERLAY_MARGIN, dy: OVERLAY_MARGIN };
+
+    const left = Math.min(
+      Math.max(rect.right - offset.dx - width, VIEWPORT_MARGIN),
+      Math.max(view.innerWidth - width - VIEWPORT_MARGIN, VIEWPORT_MARGIN)
+    );
+    const top = Math.min(
+      Math.max(rect.top + offset.dy, VIEWPORT_MARGIN),
+      Math.max(view.innerHeight - height - VIEWPORT_MARGIN, VIEWPORT_MARGIN)
+    );
+
+    this.host.style.setProperty('left', `${Math.round(left)}px`, 'important');
+    this.host.style.setProperty('top', `${Math.round(top)}px`, 'important');
+  }
+
+  /**
+   * Drag the overlay by its header and remember where it was dropped
+   */
+  enableDragging(handle) {
+    handle.addEventListener('pointerdown', (event) => {
+      if (event.button !== 0 || event.target.closest('button')) return;
+
+      event.preventDefault();
+      handle.setPointerCapture(event.pointerId);
+
+      const startLeft = parseFloat(this.host.style.left) || 0;
+      const startTop = parseFloat(this.host.style.top) || 0;
+      const startX = event.clientX;
+      const startY = event.clientY;
+
+      const onMove = (moveEvent) => {
+        this.host.style.setProperty('left', `${startLeft + moveEvent.clientX - startX}px`, 'important');
+        this.host.style.setProperty('top', `${startTop + moveEvent.clientY - startY}px`, 'important');
+      };
+
+      const onUp = () => {
+        handle.removeEventListener('pointermove', onMove);
+        handle.removeEventListener('pointerup', onUp);
+        handle.removeEventListener('pointercancel', onUp);
+
+        const rect = this.getAnchorRect();
+        this.saveOffset({
+          dx: rect.right - (parseFloat(this.host.style.left) + this.panel.offsetWidth),
+          dy: parseFloat(this.host.style.top) - rect.top
+        });
+        this.updatePosition();
+      };
+
+      handle.addEventListener('pointermove', onMove);
+      handle.addEventListener('pointerup', onUp);
+      handle.addEventListener('pointercancel', onUp);
+    });
+  }
+
+  async loadSavedOffset() {
+    try {
+      const { [OVERLAY_POSITIONS_KEY]: positions = {} } = await chrome.storage.local.get([OVERLAY_POSITIONS_KEY]);
+      this.savedOffset = positions[location.hostname] || null;
+      this.updatePosition();
+    } catch (error) {
+      console.error('Error loading overlay position:', error);
+    }
+  }
+
+  /**
+   * Remember the dragged offset for this site
+   */
+  async saveOffset(offset) {
+    this.savedOffset = offset;
+
+    try {
+      const { [OVERLAY_POSITIONS_KEY]: positions = {} } = await chrome.storage.local.get([OVERLAY_POSITIONS_KEY]);
+      positions[location.hostname] = offset;
+      await chrome.storage.local.set({ [OVERLAY_POSITIONS_KEY]: positions });
+    } catch (error) {
+      console.error('Error saving overlay position:', error);
+    }
+  }
+
+  schedule(callback, ms) {
+    this.timers.push(setTimeout(callback, ms));
+  }
+
+  clearTimers() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers = [];
+  }
+
+  /**
+   * Say something through the shared live region
+   * The region lives outside the panel so it survives the panel being replaced
+   */
+  static announce(text) {
+    if (!text) return;
+
+    let region = RecapOverlay.liveRegion;
+    if (!region?.isConnected) {
+      document.getElementById(ANNOUNCER_HOST_ID)?.remove();
+
+      const host = document.createElement('div');
+      host.id = ANNOUNCER_HOST_ID;
+      // Visually hidden, but still in the accessibility tree
+      const hostStyles = {
+        all: 'initial',
+        position: 'fixed',
+        width: '1px',
+        height: '1px',
+        overflow: 'hidden',
+        'clip-path': 'inset(50%)',
+        'white-space': 'nowrap'
+      };
+      for (const [property, value] of Object.entries(hostStyles)) {
+        host.style.setProperty(property, value, 'important');
+      }
+
+      region = document.createElement('div');
+      region.setAttribute('role', 'status');
+      region.setAttribute('aria-live', 'polite');
+      region.setAttribute('aria-atomic', 'true');
+      host.attachShadow({ mode: 'closed' }).append(region);
+      (document.body || document.documentElement).append(host);
+      RecapOverlay.liveRegion = region;
+    }
+
+    // Screen readers announce changes, so clear first in case the text repeats
+    region.textContent = '';
+    setTimeout(() => {
+      region.textContent = text;
+    }, 100);
+  }
+
+  /**
+   * The focused element, looking inside open shadow roots
+   */
+  static getDeepActiveElement() {
+    let element = document.activeElement;
+    while (element?.shadowRoot?.activeElement) {
+      element = element.shadowRoot.activeElement;
+    }
+    return element;
+  }
+
+  /**
+   * createElement with an optional class and text content
+   */
+  static createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined && text !== null) element.textContent = text;
+    return element;
+  }
+}
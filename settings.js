@@ -0,0 +1,249 @@
+/**
+ * Settings schema for Video Recap Assistant
+ * User preferences live in chrome.storage.sync under one versioned key;
+ * the few that depend on the device live in chrome.storage.local
+ */
+
+/**
+ * @typedef {Object} SpeechSettings
+ * @property {string|null} voiceName - null uses the system default voice
+ * @property {number} rate
+ * @property {number} pitch
+ * @property {number} volume
+ * @property {number} duckVolume - Share of the media's volume kept while a recap is read (1 leaves it alone)
+ */
+
+/**
+ * @typedef {Object} RecapSettings
+ * @property {'oneLine'|'paragraph'|'bullets'} summaryLength
+ * @property {'neutral'|'casual'|'formal'|'encouraging'} tone
+ * @property {string} outputLanguage - BCP 47 code, 'browser' for the browser's UI language, or '' to match the transcript
+ * @property {'sinceLastPause'|'lastMinutes'} windowMode
+ * @property {number} windowMinutes - Longest stretch of media a recap covers
+ * @property {number} minPauseSeconds - How long the viewer must be away before a recap
+ * @property {'auto'|'badge'|'announce'} triggerMode - Open the overlay, only badge the toolbar icon,
+ *   or skip the overlay and announce the recap to screen readers and read it aloud
+ * @property {'auto'|'light'|'dark'} theme - Overlay theme; 'auto' follows the system
+ * @property {string[]} siteAllowList - Hostnames; when non-empty only these sites get recaps
+ * @property {string[]} siteDenyList - Hostnames that never get recaps
+ * @property {boolean} resumeAfterRecap - Read recaps aloud when the viewer comes back, then resume playback
+ * @property {number} resumeRewindSeconds - How far to rewind before resuming
+ * @property {SpeechSettings} speech
+ */
+
+/**
+ * @typedef {Object} DeviceSettings
+ * Not synced: what works depends on what is installed on this device
+ * @property {boolean} localTranscription - Transcribe the audio on-device when there are no captions
+ */
+
+const SETTINGS_STORAGE_KEY = 'settings';
+const SETTINGS_VERSION = 3;
+const DEVICE_SETTINGS_STORAGE_KEY = 'deviceSettings';
+
+const SETTINGS_SCHEMA = {
+  summaryLength: { type: 'enum', values: ['oneLine', 'paragraph', 'bullets'], default: 'paragraph' },
+  tone: { type: 'enum', values: ['neutral', 'casual', 'formal', 'encouraging'], default: 'neutral' },
+  outputLanguage: { type: 'string', default: '' },
+  windowMode: { type: 'enum', values: ['sinceLastPause', 'lastMinutes'], default: 'sinceLastPause' },
+  windowMinutes: { type: 'number', min: 1, max: 120, default: 10 },
+  minPauseSeconds: { type: 'number', min: 0, max: 600, default: 20 },
+  triggerMode: { type: 'enum', values: ['auto', 'badge', 'announce'], default: 'auto' },
+  theme: { type: 'enum', values: ['auto', 'light', 'dark'], default: 'auto' },
+  siteAllowList: { type: 'hostList', default: [] },
+  siteDenyList: { type: 'hostList', default: [] },
+  resumeAfterRecap: { type: 'boolean', default: false },
+  resumeRewindSeconds: { type: 'number', min: 0, max: 60, default: 5 },
+  speech: {
+    type: 'object',
+    properties: {
+      voiceName: { type: 'string', nullable: true, default: null },
+      rate: { type: 'number', min: 0.1, max: 10, default: 1.0 },
+      pitch: { type: 'number', min: 0, max: 2, default: 1.0 },
+      volume: { type: 'number', min: 0, max: 1, default: 0.8 },
+      duckVolume: { type: 'number', min: 0, max: 1, default: 0.2 }
+    }
+  }
+};
+
+const DEVICE_SETTINGS_SCHEMA = {
+  localTranscription: { type: 'boolean', default: false }
+};
+
+class SettingsStore {
+  /**
+   * Default values for a schema
+   */
+  static defaults(schema = SETTINGS_SCHEMA) {
+    return Object.fromEntries(Object.entries(schema).map(([key, field]) => [
+      key,
+      field.type === 'object' ? this.defaults(field.properties) : structuredClone(field.default)
+    ]));
+  }
+
+  /**
+   * Coerce raw values to the schema, replacing anything invalid with its default
+   */
+  static validate(raw = {}, schema = SETTINGS_SCHEMA) {
+    const result = {};
+
+    for (const [key, field] of Object.entries(schema)) {
+      const value = raw?.[key];
+
+      switch (field.type) {
+        case 'object':
+          result[key] = this.validate(value, field.properties);
+          break;
+
+        case 'enum':
+          result[key] = field.values.includes(value) ? value : field.default;
+          break;
+
+        case 'number': {
+          const number = Number(value);
+          result[key] = value === null || value === '' || !Number.isFinite(number)
+            ? field.default
+            : Math.min(field.max, Math.max(field.min, number));
+          break;
+        }
+
+        case 'string':
+          if (value === null && field.nullable) {
+            result[key] = null;
+          } else {
+            result[key] = typeof value === 'string' ? value.trim() : field.default;
+          }
+          break;
+
+        case 'boolean':
+          result[key] = typeof value === 'boolean' ? value : field.default;
+          break;
+
+        case 'hostList':
+          result[key] = this.parseHostList(value);
+          break;
+
+        default:
+          result[key] = field.default;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Normalize a list of hostnames from an array or comma/newline separated text
+   */
+  static parseHostList(value) {
+    const items = Array.isArray(value) ? value : String(value ?? '').split(/[\s,]+/);
+
+    return [...new Set(items
+      .map(item => String(item).trim().toLowerCase()
+        .replace(/^[a-z]+:\/\//, '') // Allow pasted URLs
+        .replace(/[/:].*$/, '')
+        .replace(/^(\*|www)\./, ''))
+      .filter(Boolean))];
+  }
+
+  /**
+   * Whether a hostname matches a list entry (entries include their subdomains)
+   */
+  static hostMatches(hostname, list) {
+    return list.some(entry => hostname === entry || hostname.endsWith(`.${entry}`));
+  }
+
+  /**
+   * Whether recaps are enabled for a hostname under the allow/deny lists
+   */
+  static isSiteEnabled(settings, hostname) {
+    const host = hostname.toLowerCase();
+    if (this.hostMatches(host, settings.siteDenyList)) return false;
+    return settings.siteAllowList.length === 0 || this.hostMatches(host, settings.siteAllowList);
+  }
+
+  /**
+   * Bring stored settings from older versions up to SETTINGS_VERSION
+   */
+  static async migrate(stored) {
+    if (stored?.version === SETTINGS_VERSION) return stored;
+
+    const migrated = { ...stored };
+    const version = stored?.version ?? 0;
+
+    if (version < 1) {
+      // Before v1 only speech settings existed, in local storage
+      const { speechSettings } = await chrome.storage.local.get(['speechSettings']);
+      if (speechSettings) {
+        migrated.speech = speechSettings;
+      }
+    }
+
+    // v2 raised the minPauseSeconds default from 0 to 20. v1 saved every field,
+    // so a stored value may be the user's choice and is kept as it is
+
+    if (version < 3 && typeof stored?.localTranscription === 'boolean') {
+      // v3 keeps localTranscription per device; the device that migrates keeps the synced choice
+      const { [DEVICE_SETTINGS_STORAGE_KEY]: device } = await chrome.storage.local.get([DEVICE_SETTINGS_STORAGE_KEY]);
+      if (device?.localTranscription === undefined) {
+        await chrome.storage.local.set({
+          [DEVICE_SETTINGS_STORAGE_KEY]: { ...device, localTranscription: stored.localTranscription }
+        });
+      }
+      delete migrated.localTranscription;
+    }
+
+    migrated.version = SETTINGS_VERSION;
+    return migrated;
+  }
+
+  /**
+   * Load validated settings, synced and device-local together
+   */
+  static async load() {
+    try {
+      const stored = (await chrome.storage.sync.get([SETTINGS_STORAGE_KEY]))[SETTINGS_STORAGE_KEY];
+      const migrated = await this.migrate(stored);
+
+      if (migrated !== stored) {
+        await chrome.storage.sync.set({ [SETTINGS_STORAGE_KEY]: { ...this.validate(migrated), version: SETTINGS_VERSION } });
+      }
+
+      const device = (await chrome.storage.local.get([DEVICE_SETTINGS_STORAGE_KEY]))[DEVICE_SETTINGS_STORAGE_KEY];
+      return { ...this.validate(migrated), ...this.validate(device, DEVICE_SETTINGS_SCHEMA) };
+    } catch (error) {
+      console.error('Error loading settings:', error);
+      return { ...this.defaults(), ...this.defaults(DEVICE_SETTINGS_SCHEMA) };
+    }
+  }
+
+  /**
+   * Merge and save changes; nested objects merge one level deep
+   * Device settings go to local storage, the rest is synced
+   */
+  static async save(changes) {
+    const current = await this.load();
+    const merged = { ...current };
+
+    for (const [key, value] of Object.entries(changes)) {
+      merged[key] = SETTINGS_SCHEMA[key]?.type === 'object' ? { ...current[key], ...value } : value;
+    }
+
+    const settings = this.validate(merged);
+    const device = this.validate(merged, DEVICE_SETTINGS_SCHEMA);
+    await chrome.storage.sync.set({ [SETTINGS_STORAGE_KEY]: { ...settings, version: SETTINGS_VERSION } });
+    await chrome.storage.local.set({ [DEVICE_SETTINGS_STORAGE_KEY]: device });
+    return { ...settings, ...device };
+  }
+
+  /**
+   * Call back with validated settings whenever they change
+   */
+  static onChanged(callback) {
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if ((area === 'sync' && changes[SETTINGS_STORAGE_KEY]) ||
+          (area === 'local' && changes[DEVICE_SETTINGS_STORAGE_KEY])) {
+        this.load().then(callback);
+      }
+    });
+  }
+}
@@ -0,0 +1,326 @@
+/**
+ * Spoken recaps for Video Recap Assistant
+ * Recaps are read one sentence at a time so reading can be paused, resumed
+ * and skipped, and the overlay can highlight the sentence being read.
+ * Sentences go to chrome.tts through the background worker, or to the page's
+ * speechSynthesis when chrome.tts isn't available. The media is turned down
+ * while a recap is read, so the two don't talk over each other.
+ */
+
+const SPEECH_FALLBACK_SENTENCE = /[^.!?。！？]+(?:[.!?。！？]+|$)/g;
+
+/**
+ * @typedef {Object} SpokenSentence
+ * @property {number} part - Index into the recap's speech parts (RecapFormat.toSpeechParts)
+ * @property {number} start - Offset of the sentence within its part
+ * @property {number} end
+ * @property {string} text
+ */
+
+class SpeechController {
+  /**
+   * @param {Object} options
+   * @param {(state: 'idle'|'speaking'|'paused') => void} [options.onStateChange]
+   * @param {(sentence: SpokenSentence|null) => void} [options.onSentence] - Sentence being read, null when done
+   * @param {(error: Error) => void} [options.onError] - Neither chrome.tts nor speechSynthesis could speak
+   */
+  constructor({ onStateChange, onSentence, onError } = {}) {
+    this.onStateChange = onStateChange;
+    this.onSentence = onSentence;
+    this.onError = onError;
+
+    this.state = 'idle';
+    this.queue = [];
+    this.index = 0;
+    this.options = {};
+    this.engine = null; // 'tts' (chrome.tts via the background) or 'synthesis' (speechSynthesis)
+    this.utteranceId = null; // Only end events for this utterance move the queue on
+    this.ducked = null; // { element, volume, duckedVolume }
+    this.finish = null;
+  }
+
+  get isActive() {
+    return this.state !== 'idle';
+  }
+
+  /**
+   * Split speech parts into sentences, keeping where each one sits in its part
+   * @returns {SpokenSentence[]}
+   */
+  static splitSentences(parts, language) {
+    const sentences = [];
+
+    parts.forEach((text, part) => {
+      for (const { segment, index } of this.segment(text, language)) {
+        const trimmed = segment.trim();
+        if (!/[\p{L}\p{N}]/u.test(trimmed)) continue;
+
+        const start = index + segment.indexOf(trimmed);
+        sentences.push({ part, start, end: start + trimmed.length, text: trimmed });
+      }
+    });
+
+    return sentences;
+  }
+
+  /**
+   * Sentence segments with their offsets, like Intl.Segmenter's
+   */
+  static segment(text, language) {
+    if (typeof Intl.Segmenter === 'function') {
+      try {
+        return [...new Intl.Segmenter(language || undefined, { granularity: 'sentence' }).segment(text)];
+      } catch {
+        // Unknown language tag: fall through to the simple splitter
+      }
+    }
+    return [...text.matchAll(SPEECH_FALLBACK_SENTENCE)].map(match => ({ segment: match[0], index: match.index }));
+  }
+
+  /**
+   * Read the speech parts aloud; resolves true when everything was read,
+   * false when reading was stopped first
+   * @param {string[]} parts
+   * @param {Object} options
+   * @param {string} [options.language] - Recap language, for the voice and sentence splitting
+   * @param {SpeechSettings} options.settings
+   * @param {HTMLMediaElement|null} [options.media] - Turned down while reading
+   */
+  speak(parts, { language = '', settings, media = null }) {
+    this.stop();
+
+    this.queue = SpeechController.splitSentences(parts, language);
+    this.index = 0;
+    this.options = { language, settings };
+    if (this.queue.length === 0) return Promise.resolve(true);
+
+    this.duck(media, settings.duckVolume);
+    this.setState('speaking');
+
+    const done = new Promise(resolve => {
+      this.finish = resolve;
+    });
+    this.speakCurrent();
+    return done;
+  }
+
+  pause() {
+    if (this.state !== 'speaking') return;
+
+    this.setState('paused');
+    this.pauseEngine();
+  }
+
+  resume() {
+    if (this.state !== 'paused') return;
+
+    this.setState('speaking');
+    this.resumeEngine();
+  }
+
+  togglePause() {
+    if (this.state === 'paused') {
+      this.resume();
+    } else {
+      this.pause();
+    }
+  }
+
+  /**
+   * Move on to the next sentence (resuming if paused)
+   */
+  skip() {
+    if (!this.isActive) return;
+
+    this.cancelUtterance();
+    this.index++;
+    this.setState('speaking');
+    this.speakCurrent();
+  }
+
+  /**
+   * Stop reading; the pending speak() resolves false
+   */
+  stop() {
+    if (!this.isActive) return;
+
+    this.cancelUtterance();
+    this.end(false);
+  }
+
+  /**
+   * An utterance ended (speechEnded from the background, or a speechSynthesis event)
+   * @param {string} utteranceId
+   * @param {'end'|'interrupted'|'cancelled'|'error'} reason
+   */
+  handleEnded(utteranceId, reason) {
+    if (utteranceId !== this.utteranceId) return; // Skipped, stopped or replaced
+
+    this.utteranceId = null;
+    if (reason === 'error') {
+      console.error('Speech error on sentence', this.index);
+    } else if (reason !== 'end') {
+      // Cut off by something else speaking, e.g. another tab or the options page
+      this.end(false);
+      return;
+    }
+
+    this.index++;
+    this.speakCurrent();
+  }
+
+  async speakCurrent() {
+    const sentence = this.queue[this.index];
+    if (!sentence) {
+      this.end(true);
+      return;
+    }
+
+    const utteranceId = crypto.randomUUID();
+    this.utteranceId = utteranceId; // Set before speaking so a fast end isn't missed
+    this.onSentence?.(sentence);
+
+    if (this.engine !== 'synthesis' && await this.speakWithTts(sentence.text, utteranceId)) {
+      this.engine = 'tts';
+    } else if (this.utteranceId !== utteranceId) {
+      return; // Stopped or skipped while chrome.tts was tried
+    } else if ('speechSynthesis' in window) {
+      this.engine = 'synthesis';
+      this.speakWithSynthesis(sentence.text, utteranceId);
+    } else {
+      this.end(false);
+      this.onError?.(new Error('No text-to-speech available'));
+      return;
+    }
+
+    // Paused while the sentence was being sent
+    if (this.state === 'paused' && this.utteranceId === utteranceId) {
+      this.pauseEngine();
+    }
+  }
+
+  /**
+   * Speak through chrome.tts in the background; false if it isn't available
+   */
+  async speakWithTts(text, utteranceId) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'speakText',
+        text,
+        settings: this.options.settings,
+        language: this.options.language,
+        utteranceId
+      });
+      if (response?.success) return true;
+
+      console.warn('chrome.tts unavailable, falling back to speechSynthesis:', response?.error);
+    } catch (error) {
+      console.warn('chrome.tts unavailable, falling back to speechSynthesis:', error);
+    }
+    return false;
+  }
+
+  speakWithSynthesis(text, utteranceId) {
+    const { settings, language } = this.options;
+    const utterance = new SpeechSynthesisUtterance(text);
+    const voices = speechSynthesis.getVoices();
+    const chosen = voices.find(voice => voice.name === settings.voiceName);
+
+    // Same rule as the background's pickVoice: the chosen voice unless it can't speak the recap's language
+    utterance.voice = chosen && (!language || I18n.sameLanguage(chosen.lang, language))
+      ? chosen
+      : voices.find(voice => I18n.sameLanguage(voice.lang, language)) || chosen || null;
+    if (language) utterance.lang = language;
+    utterance.rate = settings.rate ?? 1.0;
+    utterance.pitch = settings.pitch ?? 1.0;
+    utterance.volume = settings.volume ?? 0.8;
+
+    utterance.onend = () => this.handleEnded(utteranceId, 'end');
+    utterance.onerror = (event) => {
+      this.handleEnded(utteranceId, ['interrupted', 'canceled'].includes(event.error) ? 'interrupted' : 'error');
+    };
+
+    speechSynthesis.cancel();
+    speechSynthesis.speak(utterance);
+  }
+
+  pauseEngine() {
+    if (this.engine === 'synthesis') {
+      speechSynthesis.pause();
+    } else {
+      this.sendToBackground('pauseSpeech');
+    }
+  }
+
+  resumeEngine() {
+    if (this.engine === 'synthesis') {
+      speechSynthesis.resume();
+    } else {
+      this.sendToBackground('resumeSpeech');
+    }
+  }
+
+  /**
+   * Stop the current utterance without its end event moving the queue on
+   */
+  cancelUtterance() {
+    this.utteranceId = null;
+    if (this.state === 'paused') {
+      this.resumeEngine(); // Otherwise the engine stays paused for what comes next
+    }
+    if (this.engine === 'synthesis') {
+      speechSynthesis.cancel();
+    } else {
+      this.sendToBackground('stopSpeech');
+    }
+  }
+
+  end(completed) {
+    this.utteranceId = null;
+    this.queue = [];
+    this.restoreVolume();
+    this.onSentence?.(null);
+    this.setState('idle');
+
+    const finish = this.finish;
+    this.finish = null;
+    finish?.(completed);
+  }
+
+  /**
+   * Turn the media down to a share of its volume for as long as the recap is read,
+   * including if the user starts playback meanwhile
+   */
+  duck(element, share = 1) {
+    if (!element || share >= 1) return;
+
+    const duckedVolume = element.volume * share;
+    this.ducked = { element, volume: element.volume, duckedVolume };
+    element.volume = duckedVolume;
+  }
+
+  /**
+   * Put the volume back, unless the user changed it while the recap was read
+   */
+  restoreVolume() {
+    if (!this.ducked) return;
+
+    const { element, volume, duckedVolume } = this.ducked;
+    this.ducked = null;
+    if (Math.abs(element.volume - duckedVolume) < 0.001) {
+      element.volume = volume;
+    }
+  }
+
+  setState(state) {
+    if (this.state === state) return;
+    this.state = state;
+    this.onStateChange?.(state);
+  }
+
+  sendToBackground(action) {
+    chrome.runtime.sendMessage({ action }).catch(error => {
+      console.error(`Error sending ${action}:`, error);
+    });
+  }
+}
@@ -0,0 +1,175 @@
+/**
+ * Persistent summary cache for Video Recap Assistant
+ * Recaps and chunk notes are stored in chrome.storage.local under the SHA-256
+ * of everything that went into them, so identical requests from any tab, or
+ * after a restart, are answered without calling the provider again
+ */
+
+const SUMMARY_CACHE_STORAGE_KEY = 'summaryCache';
+
+// Bump when prompts change so old answers aren't reused for new prompts
+const SUMMARY_CACHE_PROMPT_VERSION = 2;
+
+const SUMMARY_CACHE_LIMITS = {
+  maxEntries: 500,
+  maxBytes: 2 * 1024 * 1024 // Leaves most of storage.local's quota to history
+};
+
+// Hits, misses and last-used times are kept in memory and written back in batches
+const SUMMARY_CACHE_FLUSH_DELAY_MS = 5000;
+
+class SummaryCache {
+  constructor(limits = {}) {
+    this.limits = { ...SUMMARY_CACHE_LIMITS, ...limits };
+    this.writeQueue = Promise.resolve();
+    this.pending = { hits: 0, misses: 0, uses: new Map() };
+    this.flushTimer = null;
+  }
+
+  /**
+   * Cache key for a request: SHA-256 (hex) of its parts joined with the prompt version
+   */
+  static async createKey(...parts) {
+    const input = [SUMMARY_CACHE_PROMPT_VERSION, ...parts].join('\u0000');
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(input));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Collapse whitespace so formatting differences between extractions still hit
+   */
+  static normalize(text) {
+    return String(text ?? '').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Size of a value in storage, in UTF-8 bytes of its JSON
+   */
+  static measure(value) {
+    return new TextEncoder().encode(JSON.stringify(value)).length;
+  }
+
+  /**
+   * Cached value for a key, or null; counts a hit or a miss
+   * Lookups don't write: the count and last-used time are saved with the next
+   * write or flush
+   */
+  async get(key) {
+    await this.writeQueue;
+    const entry = (await this.load()).entries[key];
+
+    if (entry) {
+      this.pending.hits++;
+      this.pending.uses.set(key, Date.now());
+    } else {
+      this.pending.misses++;
+    }
+    this.scheduleFlush();
+    return entry ? entry.value : null;
+  }
+
+  set(key, value) {
+    return this.update(cache => {
+      const now = Date.now();
+      cache.entries[key] = {
+        value,
+        size: SummaryCache.measure(value),
+        createdAt: now,
+        lastUsedAt: now
+      };
+    });
+  }
+
+  /**
+   * { entries, bytes, hits, misses }
+   */
+  async getStats() {
+    await this.writeQueue;
+    const cache = await this.load();
+    const entries = Object.values(cache.entries);
+    return {
+      entries: entries.length,
+      bytes: entries.reduce((total, entry) => total + entry.size, 0),
+      hits: cache.stats.hits + this.pending.hits,
+      misses: cache.stats.misses + this.pending.misses
+    };
+  }
+
+  clear() {
+    this.pending.hits = 0;
+    this.pending.misses = 0;
+    return this.update(cache => {
+      cache.entries = {};
+      cache.stats = { hits: 0, misses: 0 };
+    });
+  }
+
+  /**
+   * Evict least recently used entries until both the count and size limits hold
+   */
+  prune(cache) {
+    const { maxEntries, maxBytes } = this.limits;
+    const entries = Object.entries(cache.entries).sort(([, a], [, b]) => b.lastUsedAt - a.lastUsedAt);
+
+    let bytes = 0;
+    entries.forEach(([key, entry], index) => {
+      bytes += entry.size;
+      if (index >= maxEntries || bytes > maxBytes) {
+        delete cache.entries[key];
+      }
+    });
+
+    return cache;
+  }
+
+  /**
+   * Write pending hits, misses and last-used times back soon
+   */
+  scheduleFlush() {
+    if (this.flushTimer) return;
+
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.update(() => {}).catch(error => console.error('Error saving summary cache stats:', error));
+    }, SUMMARY_CACHE_FLUSH_DELAY_MS);
+  }
+
+  /**
+   * Fold what lookups recorded in memory into the stored cache
+   */
+  applyPending(cache) {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    cache.stats.hits += this.pending.hits;
+    cache.stats.misses += this.pending.misses;
+    for (const [key, usedAt] of this.pending.uses) {
+      const entry = cache.entries[key];
+      if (entry) entry.lastUsedAt = Math.max(entry.lastUsedAt, usedAt);
+    }
+
+    this.pending = { hits: 0, misses: 0, uses: new Map() };
+    return cache;
+  }
+
+  async load() {
+    const stored = await chrome.storage.local.get([SUMMARY_CACHE_STORAGE_KEY]);
+    return stored[SUMMARY_CACHE_STORAGE_KEY] || { version: 1, entries: {}, stats: { hits: 0, misses: 0 } };
+  }
+
+  /**
+   * Read-modify-write, serialized like RecapHistory's writes
+   */
+  update(mutate) {
+    const run = this.writeQueue.then(async () => {
+      const cache = this.applyPending(await this.load());
+      const result = mutate(cache);
+      await chrome.storage.local.set({ [SUMMARY_CACHE_STORAGE_KEY]: this.prune(cache) });
+      return result;
+    });
+
+    // Keep the queue going even if this write fails
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+}
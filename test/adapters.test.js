@@ -0,0 +1,189 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./load-page');
+
+/**
+ * Copy a value made in the page's realm into this one, so deepEqual compares contents only
+ */
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * The adapter registered for a URL, and the segments it extracts from the page's first media element
+ */
+async function extractFromPage(window, url) {
+  const adapter = window.eval('transcriptAdapters').findAdapter(url);
+  const media = window.document.querySelector('video, audio');
+  const segments = adapter && await adapter.extractSegments(media, adapter.findPlayer?.(media) || null);
+  return { adapter, segments: plain(segments) };
+}
+
+test('findAdapter matches hostnames with their subdomains only', () => {
+  const registry = loadPage(null, 'https://example.com/').eval('transcriptAdapters');
+
+  assert.equal(registry.findAdapter('https://www.youtube.com/watch?v=dQw4w9WgXcQ').id, 'youtube');
+  assert.equal(registry.findAdapter('https://m.youtube.com/watch?v=dQw4w9WgXcQ').id, 'youtube');
+  assert.equal(registry.findAdapter('https://player.vimeo.com/video/76979871').id, 'vimeo');
+  assert.equal(registry.findAdapter('https://notyoutube.com/watch?v=dQw4w9WgXcQ'), null);
+  assert.equal(registry.findAdapter('https://example.com/'), null);
+  assert.equal(registry.findAdapter('not a url'), null);
+});
+
+test('youtube reads the caption track without opening the transcript panel', async (t) => {
+  const url = 'https://www.youtube.com/watch?v=dQw4w9WgXcQ';
+  const window = loadPage('youtube-watch.html', url);
+  const requested = [];
+  window.fetch = async (input) => {
+    requested.push(String(input));
+    return new Response(JSON.stringify({
+      events: [
+        { tStartMs: 0, dDurationMs: 4000, segs: [{ utf8: 'every value in Rust' }, { utf8: ' has a single owner' }] },
+        { tStartMs: 4000, dDurationMs: 1000, aAppend: 1 },
+        { tStartMs: 4000, dDurationMs: 3500, segs: [{ utf8: 'and when the owner goes\nout of scope' }] }
+      ]
+    }));
+  };
+  const showTranscript = window.document.querySelector('button[aria-label="Show transcript"]');
+  const clicked = t.mock.fn();
+  showTranscript.addEventListener('click', clicked);
+
+  const { adapter, segments } = await extractFromPage(window, url);
+
+  assert.equal(adapter.id, 'youtube');
+  assert.deepEqual(segments, [
+    { start: 0, end: 4, text: 'every value in Rust has a single owner' },
+    { start: 4, end: 7.5, text: 'and when the owner goes out of scope' }
+  ]);
+  // Uploaded captions win over automatic ones
+  assert.equal(requested.length, 1);
+  assert.equal(new URL(requested[0]).searchParams.get('kind'), null);
+  assert.equal(new URL(requested[0]).searchParams.get('fmt'), 'json3');
+  assert.equal(clicked.mock.callCount(), 0);
+});
+
+test('youtube falls back to the transcript panel when the video has no captions', async (t) => {
+  const url = 'https://www.youtube.com/watch?v=dQw4w9WgXcQ';
+  const window = loadPage('youtube-transcript-panel.html', url);
+  window.fetch = t.mock.fn();
+
+  const { adapter, segments } = await extractFromPage(window, url);
+
+  assert.equal(adapter.id, 'youtube');
+  assert.deepEqual(segments, [
+    { start: 0, end: 4, text: 'every value in Rust has a single owner' },
+    { start: 4, end: 4209, text: 'and when the owner goes out of scope the value is dropped' },
+    { start: 4209, end: null, text: 'so borrowing lets you use a value without taking ownership' }
+  ]);
+  assert.equal(window.fetch.mock.callCount(), 0);
+});
+
+test('vimeo reads the transcript panel', async () => {
+  const url = 'https://vimeo.com/76979871';
+  const { adapter, segments } = await extractFromPage(loadPage('vimeo.html', url), url);
+
+  assert.equal(adapter.id, 'vimeo');
+  assert.deepEqual(segments, [
+    { start: 0, end: 7, text: 'Welcome back to the series on designing for motion.' },
+    { start: 7, end: 62, text: 'Today we look at easing curves and why linear motion feels mechanical.' },
+    { start: 62, end: null, text: 'Notice how the card slows down before it settles into place.' }
+  ]);
+});
+
+test('coursera joins each paragraph\'s phrases under its timecode', async () => {
+  const url = 'https://www.coursera.org/learn/machine-learning/lecture/abc12/gradient-descent';
+  const { adapter, segments } = await extractFromPage(loadPage('coursera-lecture.html', url), url);
+
+  assert.equal(adapter.id, 'coursera');
+  assert.deepEqual(segments, [
+    { start: 1, end: 45, text: 'In this video, we\'ll look at gradient descent. It is how most models are trained.' },
+    { start: 45, end: null, text: 'The learning rate controls how big each step is.' }
+  ]);
+});
+
+test('udemy reads untimed cues, marks the active one and skips empty ones', async () => {
+  const url = 'https://www.udemy.com/course/javascript-deep-dive/learn/lecture/1234567';
+  const { adapter, segments } = await extractFromPage(loadPage('udemy-lecture.html', url), url);
+
+  assert.equal(adapter.id, 'udemy');
+  assert.deepEqual(segments, [
+    { start: null, end: null, text: 'A closure is a function bundled with its surrounding state.' },
+    { start: null, end: null, text: 'Inner functions keep access to the variables of the outer one.', current: true }
+  ]);
+});
+
+test('spotify reads timestamped transcript lines', async () => {
+  const url = 'https://open.spotify.com/episode/4rOoJ6Egrf8K2IrywzwOMk';
+  const { adapter, segments } = await extractFromPage(loadPage('spotify-episode.html', url), url);
+
+  assert.equal(adapter.id, 'spotify');
+  assert.deepEqual(segments, [
+    { start: 0, end: 135, text: 'Welcome to the show. Today we are talking about sleep.' },
+    { start: 135, end: null, text: 'Most adults need somewhere between seven and nine hours.' }
+  ]);
+});
+
+test('apple podcasts reads begin offsets from the transcript spans', async () => {
+  const url = 'https://podcasts.apple.com/us/podcast/the-history-of-maps/id1234567890?i=1000654321';
+  const { adapter, segments } = await extractFromPage(loadPage('apple-podcasts-episode.html', url), url);
+
+  assert.equal(adapter.id, 'apple-podcasts');
+  assert.deepEqual(segments, [
+    { start: 0.48, end: 6.2, text: 'Before satellites, every map was an argument about the world.' },
+    { start: 6.2, end: 71.9, text: 'Ptolemy put the known world on a grid of latitude and longitude.' },
+    { start: 71.9, end: null, text: 'Mercator\'s projection kept compass bearings straight for sailors.' }
+  ]);
+});
+
+test('generic fallback reads a timed transcript next to the player and ignores page chrome', async () => {
+  const url = 'https://biology.example.edu/lectures/4';
+  const window = loadPage('generic-article.html', url);
+  const registry = window.eval('transcriptAdapters');
+
+  assert.equal(registry.findAdapter(url), null);
+  const segments = plain(registry.fallback.extractSegments(window.document.querySelector('video')));
+  assert.deepEqual(segments.map(({ start, text }) => ({ start, text })), [
+    { start: 0, text: 'Today we are going to talk about how plants turn light into sugar.' },
+    { start: 12, text: 'The process happens in the chloroplasts, which contain chlorophyll.' },
+    { start: 30, text: 'Light energy is used to split water and release oxygen as a by-product.' }
+  ]);
+});
+
+test('segmentsFromRows reads times from an attribute on the row or in it', () => {
+  const window = loadPage(null, 'https://example.com/');
+  window.document.body.innerHTML = `
+    <p class="row" data-begin="12.5">First line</p>
+    <p class="row"><span data-begin="20">Second</span> <b>line</b></p>
+    <p class="row" data-begin="">Untimed line</p>
+    <p class="row" data-begin="30"> </p>`;
+
+  const segments = plain(window.eval('TranscriptAdapterRegistry').segmentsFromRows(
+    window.document.querySelectorAll('.row'),
+    { time: '[data-begin]', timeAttribute: 'data-begin' }
+  ));
+
+  assert.deepEqual(segments, [
+    { start: 12.5, end: 20, text: 'First line' },
+    { start: 20, end: null, text: 'Second line' },
+    { start: null, end: null, text: 'Untimed line' }
+  ]);
+});
+
+test('segmentsFromRows parses timestamps written in the rows', () => {
+  const window = loadPage(null, 'https://example.com/');
+  window.document.body.innerHTML = `
+    <li><span class="time">0:05</span><span class="text">Opening   remarks</span></li>
+    <li><span class="time">01:02:03.250</span><span class="text">Closing</span></li>
+    <li><span class="time">soon</span><span class="text">Not a time</span></li>
+    <li><span class="text">No time at all</span></li>`;
+
+  const segments = plain(window.eval('TranscriptAdapterRegistry').segmentsFromRows(
+    window.document.querySelectorAll('li'),
+    { time: '.time', text: '.text' }
+  ));
+
+  assert.deepEqual(segments, [
+    { start: 5, end: 3723.25, text: 'Opening remarks' },
+    { start: 3723.25, end: null, text: 'Closing' },
+    { start: null, end: null, text: 'Not a time' },
+    { start: null, end: null, text: 'No time at all' }
+  ]);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+/**
+ * LLMClient as the background worker loads it, calling the given fetch
+ */
+function loadClient(fetch) {
+  const context = vm.createContext({ fetch, setTimeout, clearTimeout, AbortController, TextDecoder, console });
+  const file = path.join(__dirname, '..', 'llm-client.js');
+  new vm.Script(fs.readFileSync(file, 'utf8'), { filename: file }).runInContext(context);
+  return vm.runInContext('LLMClient', context);
+}
+
+/**
+ * A response whose headers arrive at once but whose body stops after its first chunk
+ */
+function stalledResponse(signal) {
+  const body = new ReadableStream({
+    start(controller) {
+      controller.enqueue(new TextEncoder().encode('{"choices":[{"message":'));
+      signal.addEventListener('abort', () => controller.error(new DOMException('Aborted', 'AbortError')));
+    }
+  });
+  return new Response(body, { status: 200, headers: { 'Content-Type': 'application/json' } });
+}
+
+const REQUEST = { url: 'http://localhost:8080/v1/chat/completions', headers: {}, body: {} };
+
+test('send times out when the body stalls after the headers', async () => {
+  const LLMClient = loadClient(async (url, { signal }) => stalledResponse(signal));
+  const client = new LLMClient({ provider: 'llamacpp', timeoutMs: 50 });
+
+  await assert.rejects(client.send(REQUEST), { code: 'TIMEOUT' });
+});
+
+test('send is cancelled by the caller while the body is being read', async () => {
+  const LLMClient = loadClient(async (url, { signal }) => stalledResponse(signal));
+  const client = new LLMClient({ provider: 'llamacpp', timeoutMs: 5000 });
+  const caller = new AbortController();
+
+  const sent = client.send(REQUEST, caller.signal);
+  setTimeout(() => caller.abort(), 10);
+
+  await assert.rejects(sent, { code: 'CANCELLED' });
+});
+
+test('send reports a body that is not JSON', async () => {
+  const LLMClient = loadClient(async () => new Response('<html>Bad gateway</html>', { status: 200 }));
+  const client = new LLMClient({ provider: 'llamacpp' });
+
+  await assert.rejects(client.send(REQUEST), { code: 'BAD_RESPONSE' });
+});
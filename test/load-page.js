@@ -0,0 +1,43 @@
+/**
+ * Loads a saved page into jsdom with the transcript scripts from the manifest
+ * Scripts share globals the way content scripts do, so tests reach them with window.eval
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+
+// In manifest order
+const SCRIPTS = [
+  'transcript-segments.js',
+  'transcript-quality.js',
+  'media-discovery.js',
+  'adapters/registry.js',
+  'adapters/youtube.js',
+  'adapters/vimeo.js',
+  'adapters/coursera.js',
+  'adapters/udemy.js',
+  'adapters/spotify.js',
+  'adapters/apple-podcasts.js',
+  'adapters/generic.js'
+];
+
+/**
+ * A jsdom window for a fixture in test/fixtures, at the URL it was saved from
+ */
+function loadPage(fixture, url) {
+  const html = fixture ? fs.readFileSync(path.join(__dirname, 'fixtures', fixture), 'utf8') : '';
+  const dom = new JSDOM(html, { url, runScripts: 'outside-only' });
+  const context = dom.getInternalVMContext();
+
+  for (const script of SCRIPTS) {
+    const file = path.join(ROOT, script);
+    new vm.Script(fs.readFileSync(file, 'utf8'), { filename: file }).runInContext(context);
+  }
+  return dom.window;
+}
+
+module.exports = { loadPage };
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+/**
+ * A chrome.storage area kept in memory
+ */
+function storageArea(items = {}) {
+  return {
+    items,
+    async get(keys) {
+      return Object.fromEntries(keys.filter(key => key in items).map(key => [key, structuredClone(items[key])]));
+    },
+    async set(values) {
+      Object.assign(items, structuredClone(values));
+    }
+  };
+}
+
+/**
+ * SettingsStore over the given sync and local storage contents
+ */
+function loadStore({ sync = {}, local = {} } = {}) {
+  const chrome = { storage: { sync: storageArea(sync), local: storageArea(local) } };
+  const context = vm.createContext({ chrome, structuredClone, console });
+  const file = path.join(__dirname, '..', 'settings.js');
+  new vm.Script(fs.readFileSync(file, 'utf8'), { filename: file }).runInContext(context);
+  return { SettingsStore: vm.runInContext('SettingsStore', context), chrome };
+}
+
+test('load moves a synced localTranscription choice to this device', async () => {
+  const { SettingsStore, chrome } = loadStore({
+    sync: { settings: { version: 2, localTranscription: true, minPauseSeconds: 5 } }
+  });
+
+  const settings = await SettingsStore.load();
+
+  assert.equal(settings.localTranscription, true);
+  assert.equal(settings.minPauseSeconds, 5);
+  assert.equal(chrome.storage.sync.items.settings.version, 3);
+  assert.equal('localTranscription' in chrome.storage.sync.items.settings, false);
+  assert.equal(chrome.storage.local.items.deviceSettings.localTranscription, true);
+});
+
+test('load keeps the choice this device already has', async () => {
+  const { SettingsStore } = loadStore({
+    sync: { settings: { version: 2, localTranscription: true } },
+    local: { deviceSettings: { localTranscription: false } }
+  });
+
+  assert.equal((await SettingsStore.load()).localTranscription, false);
+});
+
+test('save keeps localTranscription out of synced settings', async () => {
+  const { SettingsStore, chrome } = loadStore();
+
+  const settings = await SettingsStore.save({ localTranscription: true, minPauseSeconds: 30 });
+
+  assert.equal(settings.localTranscription, true);
+  assert.equal(chrome.storage.sync.items.settings.minPauseSeconds, 30);
+  assert.equal('localTranscription' in chrome.storage.sync.items.settings, false);
+  assert.equal(chrome.storage.local.items.deviceSettings.localTranscription, true);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./load-page');
+
+/**
+ * Copy a value made in the page's realm into this one, so deepEqual compares contents only
+ */
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+const TranscriptQuality = loadPage(null, 'https://example.com/').eval('TranscriptQuality');
+
+const CAPTIONS = [
+  { start: 0, end: 4, text: 'Today we look at copyright law and what it means for remixes.' },
+  { start: 4, end: 7, text: 'This episode is sponsored' },
+  { start: 7, end: 11, text: 'by a company that makes password managers.' },
+  { start: 11, end: 16, text: 'Read the privacy policy of any app before you give it your contacts.' },
+  { start: 16, end: 17, text: 'Next' },
+  { start: 17, end: 20, text: 'we will see how fair use applies to parody.' }
+];
+
+test('clean keeps every caption line, even ones that read like page chrome', () => {
+  const cleaned = plain(TranscriptQuality.clean(CAPTIONS, { source: 'captions' }));
+
+  assert.deepEqual(cleaned.map(segment => segment.text), CAPTIONS.map(segment => segment.text));
+});
+
+test('clean drops whole lines of page chrome from scraped text only', () => {
+  const scraped = [
+    'Accept all cookies',
+    'Today we look at copyright law and what it means for remixes.',
+    'Privacy Policy',
+    'Read the privacy policy of any app before you give it your contacts.',
+    '1,204 comments',
+    'https://example.com/episodes/42',
+    'This episode is sponsored',
+    '© 2024 Example Media. All rights reserved.',
+    'Next'
+  ].map(text => ({ start: null, end: null, text }));
+
+  const cleaned = plain(TranscriptQuality.clean(scraped, { source: 'generic' }));
+
+  assert.deepEqual(cleaned.map(segment => segment.text), [
+    'Today we look at copyright law and what it means for remixes.',
+    'Read the privacy policy of any app before you give it your contacts.',
+    'This episode is sponsored'
+  ]);
+});
+
+test('clean merges roll-up captions into the longest line with the earliest start', () => {
+  const cleaned = plain(TranscriptQuality.clean([
+    { start: 10, end: 11, text: 'so the court' },
+    { start: 11, end: 12, text: 'so the court ruled' },
+    { start: 12, end: 14, text: 'so the court ruled that the sample was fair use' },
+    { start: 14, end: 17, text: 'because it changed the meaning of the original.' }
+  ], { source: 'live' }));
+
+  assert.deepEqual(cleaned, [
+    { start: 10, end: 14, text: 'so the court ruled that the sample was fair use' },
+    { start: 14, end: 17, text: 'because it changed the meaning of the original.' }
+  ]);
+});
+
+test('assess trusts speech-like captions and rejects a scraped menu', () => {
+  const captions = TranscriptQuality.assess(CAPTIONS, { source: 'captions' });
+  assert.equal(captions.removed, 0);
+  assert.ok(captions.confidence >= 0.5, `captions scored ${captions.confidence}`);
+
+  const menu = TranscriptQuality.assess([
+    'Home', 'Episodes', 'About the show', 'Merch store', 'Newsletter sign-up',
+    'Contact us', 'Advertise with us', 'Careers at Example Media', 'Press kit and logos'
+  ].map(text => ({ start: null, end: null, text })), { source: 'nearby', proximity: 0.4 });
+  assert.ok(menu.confidence < 0.5, `menu scored ${menu.confidence}`);
+});
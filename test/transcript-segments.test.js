@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./load-page');
+
+/**
+ * Copy a value made in the page's realm into this one, so deepEqual compares contents only
+ */
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+const TranscriptSegments = loadPage(null, 'https://example.com/').eval('TranscriptSegments');
+
+const CUES = [
+  'A closure is a function bundled with its surrounding state.',
+  'Inner functions keep access to the variables of the outer one.',
+  'That is why a counter made this way keeps counting.',
+  'In the next lecture we build a module with private state.'
+].map(text => ({ start: null, end: null, text }));
+
+test('window keeps timed segments that overlap the window', () => {
+  const segments = [
+    { start: 0, end: 10, text: 'one' },
+    { start: 10, end: 20, text: 'two' },
+    { start: 20, end: 30, text: 'three' },
+    { start: 30, end: null, text: 'four' }
+  ];
+
+  assert.deepEqual(plain(TranscriptSegments.window(segments, { from: 12, to: 25 })).map(segment => segment.text), ['two', 'three']);
+});
+
+test('window cuts an untimed transcript after the current cue', () => {
+  const cues = CUES.map((cue, i) => (i === 1 ? { ...cue, current: true } : cue));
+
+  const windowed = plain(TranscriptSegments.window(cues, { from: 0, to: 90, duration: 600 }));
+
+  assert.deepEqual(windowed.map(segment => segment.text), CUES.slice(0, 2).map(cue => cue.text));
+});
+
+test('window places the pause in untimed text by its share of the duration', () => {
+  const text = CUES.map(cue => cue.text).join(' ');
+  const windowed = plain(TranscriptSegments.window([{ start: null, end: null, text }], { from: 0, to: 50, duration: 100 }));
+
+  assert.equal(windowed.length, 1);
+  assert.ok(text.startsWith(windowed[0].text));
+  assert.ok(windowed[0].text.length <= text.length / 2);
+  assert.ok(!windowed[0].text.includes('next lecture'));
+});
+
+test('window keeps only the window\'s worth of untimed text before the pause', () => {
+  const cues = CUES.map((cue, i) => (i === 3 ? { ...cue, current: true } : cue));
+
+  // 4 seconds is about 60 characters: the last cue
+  const windowed = plain(TranscriptSegments.window(cues, { from: 56, to: 60 }));
+
+  assert.deepEqual(windowed.map(segment => segment.text), [CUES[3].text]);
+});
+
+test('window drops words cut in half', () => {
+  const windowed = plain(TranscriptSegments.window([{ start: null, end: null, text: 'alpha beta gamma delta' }], { from: 0, to: 55, duration: 100 }));
+
+  assert.deepEqual(windowed.map(segment => segment.text), ['alpha beta']);
+});
@@ -0,0 +1,235 @@
+/**
+ * Transcript quality checks for Video Recap Assistant
+ * Text scraped from the page can be image captions, comments, menus or
+ * cookie banners rather than what was said. Transcripts are cleaned here,
+ * scored on how speech-like they read and how close to the player they
+ * were found, and given a confidence; low-confidence text isn't summarized.
+ */
+
+const TRANSCRIPT_MIN_CHARS = 50; // Less than this isn't worth a recap
+const TRANSCRIPT_MIN_CONFIDENCE = 0.5;
+const TRANSCRIPT_DEDUPE_LINES = 8; // Timed lines are compared against this many before them
+
+// How much each source can be trusted to be a transcript at all; site adapters default to 0.9
+const TRANSCRIPT_SOURCE_RELIABILITY = {
+  captions: 1,
+  live: 0.9,
+  speech: 0.85,
+  generic: 0.5,
+  nearby: 0.3
+};
+
+// Sources scraped off the page, where lines can be page chrome; captions and speech are what was said
+const TRANSCRIPT_SCRAPED_SOURCES = new Set(['generic', 'nearby']);
+
+// Whole lines matching these are page chrome, not speech
+const TRANSCRIPT_BOILERPLATE = [
+  /^(accept|reject|manage) (all )?cookies?$/i,
+  /^cookie (policy|settings|preferences)$/i,
+  /^we use cookies\b[^.!?]*[.!?]?$/i,
+  /^(privacy policy|terms of (service|use)|all rights reserved\.?)$/i,
+  /^(©|\(c\)|copyright ©?) ?\d{4}([-–]\d{4})?,?( [\p{L}\d.,&'-]+){0,6}?\.?( all rights reserved\.?)?$/iu,
+  /^(sign (in|up)|log (in|out)|subscribe|share|reply|like|dislike|follow|download|save|report|menu|search|home|skip to (main )?content|show (more|less)|read more|see more|load more|view all|next|previous|close|back to top)$/i,
+  /^[\d,.]+[km]? (comments?|replies|views?|likes?|followers?|subscribers?)$/i,
+  /^(advertisement|sponsored( content)?)$/i,
+  /^(play|pause|mute|unmute|settings|full ?screen|captions|subtitles|autoplay)( \(\w\))?$/i
+];
+
+// Common short words of spoken language, used to tell sentences from labels
+const TRANSCRIPT_FUNCTION_WORDS = new Set([
+  // English
+  'a', 'an', 'the', 'and', 'or', 'but', 'so', 'of', 'to', 'in', 'on', 'at', 'for', 'with', 'is', 'are',
+  'was', 'were', 'be', 'it', 'this', 'that', 'i', 'you', 'we', 'they', 'he', 'she', 'not', 'do', 'if',
+  // Spanish, Portuguese, French, Italian, German, Dutch
+  'el', 'la', 'los', 'las', 'y', 'que', 'de', 'en', 'es', 'un', 'una', 'o', 'e', 'um', 'uma', 'não',
+  'le', 'les', 'et', 'est', 'des', 'du', 'je', 'vous', 'nous', 'il', 'di', 'che', 'è', 'per', 'con',
+  'der', 'die', 'das', 'und', 'ist', 'ich', 'sie', 'wir', 'nicht', 'het', 'een', 'van', 'ik', 'niet'
+]);
+
+const TRANSCRIPT_PERSONAL_WORDS = new Set(['i', 'you', 'we', "i'm", "you're", "we're", "let's", 'je', 'vous', 'nous', 'yo', 'ich', 'wir', 'ik', 'io', 'eu']);
+
+class TranscriptQuality {
+  /**
+   * Clean a candidate transcript and rate it
+   * Returns { segments, confidence, speechLikeness, removed }
+   * @param {Array} segments
+   * @param {Object} options
+   * @param {string} options.source - Where the segments came from (adapter id, 'captions', ...)
+   * @param {number} [options.proximity] - 0-1, how close to the player the text was found
+   */
+  static assess(segments, { source, proximity = 1 }) {
+    const cleaned = this.clean(segments, { source });
+    const text = TranscriptSegments.toText(cleaned);
+    const removed = segments.length - cleaned.length;
+
+    if (text.length <= TRANSCRIPT_MIN_CHARS) {
+      return { segments: cleaned, confidence: 0, speechLikeness: 0, removed };
+    }
+
+    const reliability = TRANSCRIPT_SOURCE_RELIABILITY[source] ?? 0.9;
+    const speechLikeness = this.scoreSpeech(cleaned.map(segment => segment.text));
+    const confidence = 0.4 * reliability + 0.4 * speechLikeness + 0.2 * proximity;
+
+    return {
+      segments: cleaned,
+      confidence: Math.round(confidence * 100) / 100,
+      speechLikeness: Math.round(speechLikeness * 100) / 100,
+      removed
+    };
+  }
+
+  /**
+   * Drop repeated lines and merge roll-up captions into one line
+   * Boilerplate is only dropped from text scraped off the page; captions and
+   * speech keep every line, even one that reads like a menu label
+   * @param {Array} segments
+   * @param {Object} [options]
+   * @param {string} [options.source]
+   */
+  static clean(segments, { source } = {}) {
+    const timed = TranscriptSegments.isTimed(segments);
+    const scraped = TRANSCRIPT_SCRAPED_SOURCES.has(source);
+    const kept = [];
+    const seen = new Set(); // Untimed text: a line repeated anywhere is page chrome
+
+    for (const segment of segments) {
+      const text = segment.text.replace(/\s+/g, ' ').replace(/\[\d+:\d+\]/g, '').trim();
+      const key = this.normalize(text);
+      if (!key || (scraped && this.isBoilerplate(text))) continue;
+
+      const recent = timed ? kept.slice(-TRANSCRIPT_DEDUPE_LINES) : kept.slice(-1);
+      const previous = recent.find(other => this.extends(key, other.key) || this.extends(other.key, key));
+      if (previous) {
+        // A roll-up caption that grew keeps the longer text and the earlier start
+        if (key.length > previous.key.length) {
+          previous.key = key;
+          previous.segment.text = text;
+          previous.segment.end = segment.end ?? previous.segment.end;
+        }
+        if (segment.current) previous.segment.current = true;
+        continue;
+      }
+
+      if (!timed) {
+        if (seen.has(key)) continue;
+        seen.add(key);
+      }
+
+      kept.push({ key, segment: { ...segment, text } });
+    }
+
+    return kept.map(({ segment }) => segment);
+  }
+
+  /**
+   * Drop boilerplate and repeated lines from text scraped off the page
+   * Run before TranscriptSegments.fromText, which joins untimed lines together
+   */
+  static cleanLines(text) {
+    const seen = new Set();
+    return text.split('\n')
+      .map(line => line.replace(/\s+/g, ' ').trim())
+      .filter(line => {
+        const key = this.normalize(line);
+        if (!key || seen.has(key) || this.isBoilerplate(line)) return false;
+        seen.add(key);
+        return true;
+      })
+      .join('\n');
+  }
+
+  /**
+   * Whether one line is another, or continues it word for word
+   */
+  static extends(key, base) {
+    return key === base || key.startsWith(`${base} `);
+  }
+
+  /**
+   * Whether a line is page chrome: a known label, a URL or mostly digits and symbols
+   */
+  static isBoilerplate(text) {
+    if (TRANSCRIPT_BOILERPLATE.some(pattern => pattern.test(text))) return true;
+    if (/^(https?:\/\/|www\.)\S+$|^\S+@\S+\.\S+$/i.test(text)) return true;
+
+    const visible = text.replace(/\s/g, '');
+    const letters = (visible.match(/\p{L}/gu) || []).length;
+    return letters / visible.length < 0.5;
+  }
+
+  /**
+   * 0-1: how much text reads like something said aloud rather than menus and labels
+   * @param {string[]} lines
+   */
+  static scoreSpeech(lines) {
+    const text = lines.join(' ').replace(/\s+/g, ' ').trim();
+    const words = text.toLowerCase().match(/[\p{L}']+/gu) || [];
+    if (words.length === 0) return 0;
+
+    // Lines of a few words or more, not one- and two-word labels
+    const wordsPerLine = this.countWords(text) / lines.length;
+    const lineScore = Math.min(Math.max((wordsPerLine - 2) / 6, 0), 1);
+
+    const visible = text.replace(/\s/g, '');
+    const letterRatio = (visible.match(/\p{L}/gu) || []).length / visible.length;
+    const letterScore = Math.min(Math.max((letterRatio - 0.6) / 0.3, 0), 1);
+
+    // Spoken Latin-script languages are full of short function words; other scripts stay neutral
+    const latin = (text.match(/\p{Script=Latin}/gu) || []).length / Math.max(visible.length, 1);
+    const functionRatio = words.filter(word => TRANSCRIPT_FUNCTION_WORDS.has(word)).length / words.length;
+    const functionScore = latin > 0.5 ? Math.min(functionRatio / 0.3, 1) : 0.7;
+    const personalScore = latin > 0.5
+      ? Math.min(words.filter(word => TRANSCRIPT_PERSONAL_WORDS.has(word)).length / words.length / 0.03, 1)
+      : 0.5;
+
+    // Links, handles and hashtags belong to comments and descriptions
+    const links = (text.match(/https?:\/\/|www\.|[@#]\w+/g) || []).length;
+    const linkPenalty = Math.min((links / words.length) * 10, 0.5);
+
+    const score = 0.35 * functionScore + 0.25 * lineScore + 0.25 * letterScore + 0.15 * personalScore - linkPenalty;
+    return Math.min(Math.max(score, 0), 1);
+  }
+
+  /**
+   * 0-1: how close an element is to the player on screen (1 inside or overlapping it)
+   */
+  static proximity(element, mediaElement) {
+    if (element.contains(mediaElement) || mediaElement.contains(element)) return 1;
+
+    const a = element.getBoundingClientRect();
+    const b = mediaElement.getBoundingClientRect();
+    if ((a.width === 0 && a.height === 0) || (b.width === 0 && b.height === 0)) {
+      return 0.5; // Hidden text or an audio element without a box: can't tell
+    }
+
+    const gapX = Math.max(0, a.left - b.right, b.left - a.right);
+    const gapY = Math.max(0, a.top - b.bottom, b.top - a.bottom);
+    const viewport = Math.max(window.innerHeight, 1);
+    return 1 / (1 + 2 * (Math.hypot(gapX, gapY) / viewport));
+  }
+
+  /**
+   * Rate an element's text as a transcript candidate: speech-likeness weighted by proximity
+   */
+  static scoreElement(element, text, mediaElement) {
+    const lines = this.cleanLines(text).split('\n').filter(Boolean);
+    if (lines.length === 0) return 0;
+    return this.scoreSpeech(lines) * (0.5 + 0.5 * this.proximity(element, mediaElement));
+  }
+
+  /**
+   * Word count that also works for scripts written without spaces
+   */
+  static countWords(text) {
+    const words = (text.match(/[\p{L}\p{N}']+/gu) || []).length;
+    const ideographs = (text.match(/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/gu) || []).length;
+    return words + ideographs / 2;
+  }
+
+  /**
+   * Comparison key: lower case letters and digits only
+   */
+  static normalize(text) {
+    return text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+  }
+}
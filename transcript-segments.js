@@ -0,0 +1,179 @@
+/**
+ * Transcript segment helpers for Video Recap Assistant
+ * A segment is { start, end, text } with times in seconds, or null when the
+ * source carries no timing information. A site that highlights the cue playing
+ * now marks that segment with `current: true`
+ */
+
+// Untimed text is windowed by estimating how much of it was spoken per second
+const TRANSCRIPT_CHARS_PER_SECOND = 15;
+const TRANSCRIPT_UNTIMED_FALLBACK_SECONDS = 600; // Used when the window has no finite length
+
+class TranscriptSegments {
+  /**
+   * Parse "1:23", "01:02:03" or "00:01:02.500" into seconds
+   */
+  static parseTimestamp(value) {
+    if (typeof value !== 'string') return null;
+
+    const match = value.trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{2})(?:[.,](\d{1,3}))?$/);
+    if (!match) return null;
+
+    const [, hours, minutes, seconds, fraction] = match;
+    return (Number(hours) || 0) * 3600 +
+      Number(minutes) * 60 +
+      Number(seconds) +
+      (fraction ? Number(fraction.padEnd(3, '0')) / 1000 : 0);
+  }
+
+  /**
+   * Format seconds as m:ss or h:mm:ss
+   */
+  static formatTimestamp(totalSeconds) {
+    const safe = Math.max(0, Math.floor(totalSeconds || 0));
+    const hours = Math.floor(safe / 3600);
+    const minutes = Math.floor((safe % 3600) / 60);
+    const seconds = String(safe % 60).padStart(2, '0');
+
+    return hours > 0
+      ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+      : `${minutes}:${seconds}`;
+  }
+
+  /**
+   * Split raw transcript text into segments using line-leading timestamps
+   * such as "1:23 text" or "[1:23] text"
+   */
+  static fromText(text) {
+    if (!text) return [];
+
+    const segments = [];
+    const lines = text.split(/\n+/);
+
+    for (const rawLine of lines) {
+      const line = rawLine.trim();
+      if (!line) continue;
+
+      const match = line.match(/^\[?(\d{1,2}(?::\d{2}){1,2})\]?\s*(.*)$/);
+      const start = match ? this.parseTimestamp(match[1]) : null;
+
+      if (start !== null) {
+        segments.push({ start, end: null, text: match[2] });
+      } else if (segments.length > 0) {
+        // Continuation of the previous segment (e.g. timestamp and text in separate nodes)
+        const last = segments[segments.length - 1];
+        last.text = last.text ? `${last.text} ${line}` : line;
+      } else {
+        segments.push({ start: null, end: null, text: line });
+      }
+    }
+
+    return this.fillEndTimes(segments.filter(segment => segment.text));
+  }
+
+  /**
+   * Use each segment's successor to fill in missing end times
+   */
+  static fillEndTimes(segments) {
+    for (let i = 0; i < segments.length; i++) {
+      const next = segments[i + 1];
+      if (segments[i].end === null && segments[i].start !== null && next?.start != null) {
+        segments[i].end = next.start;
+      }
+    }
+    return segments;
+  }
+
+  /**
+   * Whether any segment carries a start time
+   */
+  static isTimed(segments) {
+    return segments.some(segment => segment.start !== null);
+  }
+
+  /**
+   * Keep only the segments that fall inside [from, to]
+   * Untimed transcripts are cut by estimate instead, see windowUntimed
+   * @param {Array} segments
+   * @param {Object} [options]
+   * @param {number} [options.from]
+   * @param {number} [options.to]
+   * @param {number} [options.duration] - Media duration, to place the pause in untimed text
+   */
+  static window(segments, { from = 0, to = Infinity, duration } = {}) {
+    if (!this.isTimed(segments)) return this.windowUntimed(segments, { from, to, duration });
+
+    return segments.filter(segment => {
+      if (segment.start === null) return false;
+      const end = segment.end ?? segment.start;
+      return segment.start <= to && end >= from;
+    });
+  }
+
+  /**
+   * Cut untimed text to about the window's worth of speech, ending at the pause
+   * The pause is at the end of the current cue when the site marks one, else at
+   * the same share of the text as the pause is of the media's duration. Without
+   * either the position is unknown and only the last part of the text is kept
+   */
+  static windowUntimed(segments, { from = 0, to = Infinity, duration } = {}) {
+    // Character offsets as if the segments were joined with spaces
+    const offsets = [];
+    let length = -1;
+    for (const segment of segments) {
+      offsets.push(length + 1);
+      length += segment.text.length + 1;
+    }
+
+    const current = segments.findIndex(segment => segment.current);
+    let end = Math.max(length, 0);
+    if (current !== -1) {
+      end = offsets[current] + segments[current].text.length;
+    } else if (Number.isFinite(duration) && duration > 0 && Number.isFinite(to)) {
+      end = Math.round(end * Math.min(Math.max(to / duration, 0), 1));
+    }
+
+    const seconds = Number.isFinite(to - from) ? Math.max(to - from, 0) : TRANSCRIPT_UNTIMED_FALLBACK_SECONDS;
+    const start = Math.max(0, end - seconds * TRANSCRIPT_CHARS_PER_SECOND);
+
+    return segments.map((segment, i) => {
+      const cutStart = Math.max(start - offsets[i], 0);
+      const cutEnd = Math.min(end - offsets[i], segment.text.length);
+      if (cutEnd <= cutStart) return null;
+
+      // Drop words cut in half at either end
+      let text = segment.text.slice(cutStart, cutEnd);
+      if (cutStart > 0 && /\S/.test(segment.text[cutStart - 1])) text = text.replace(/^\S*/, '');
+      if (cutEnd < segment.text.length && /\S/.test(segment.text[cutEnd])) text = text.replace(/\S*$/, '');
+      text = text.trim();
+      return text ? { ...segment, text } : null;
+    }).filter(Boolean);
+  }
+
+  /**
+   * One "[m:ss] text" line per segment, so a model can refer to times
+   * Untimed transcripts are joined as plain text
+   */
+  static toTimedText(segments) {
+    if (!this.isTimed(segments)) return this.toText(segments);
+
+    return segments
+      .filter(segment => segment.text)
+      .map(segment => (segment.start !== null
+        ? `[${this.formatTimestamp(segment.start)}] ${segment.text.replace(/\s+/g, ' ').trim()}`
+        : segment.text.replace(/\s+/g, ' ').trim()))
+      .join('\n');
+  }
+
+  /**
+   * Join segments into a single cleaned-up string
+   */
+  static toText(segments) {
+    return segments
+      .map(segment => segment.text)
+      .join(' ')
+      .replace(/\s+/g, ' ') // Normalize whitespace
+      .replace(/\[\d+:\d+\]/g, '') // Remove inline timestamps like [1:23]
+      .trim();
+  }
+}
@@ -0,0 +1,148 @@
+/**
+ * Whisper speech-to-text worker for Video Recap Assistant
+ * Runs the whisper.cpp WebAssembly build on 16 kHz mono PCM and returns
+ * timed segments. The build (libmain.js, with its .wasm and worker files)
+ * and a ggml model are not checked in; see the README.
+ */
+
+importScripts('../transcript-segments.js');
+
+const WHISPER_SCRIPT = 'libmain.js';
+const WHISPER_MODEL = 'ggml-model.bin';
+const WHISPER_SAMPLE_RATE = 16000;
+const WHISPER_TIMEOUT_MS = 5 * 60 * 1000; // Longest a 30-second chunk may take on a slow machine
+
+// whisper.cpp prints each segment as "[00:00:01.000 --> 00:00:04.000]  text"
+const SEGMENT_LINE = /^\[(\d+:\d{2}:\d{2}[.,]\d+)\s*-->\s*(\d+:\d{2}:\d{2}[.,]\d+)\]\s*(.*)$/;
+
+// full_default runs on a thread of its own and returns straight away; the
+// build's last line for a run is its timings summary
+const DONE_LINE = /whisper_print_timings:\s+total time/;
+
+let output = [];
+let instance = null;
+let loading = null;
+let finishRun = null; // Settles the transcription in progress
+let queue = Promise.resolve(); // One transcription at a time, so output lines don't mix
+
+self.Module = {
+  print: (line) => output.push(line),
+  printErr: (line) => {
+    console.log('whisper:', line);
+    if (finishRun && DONE_LINE.test(line)) finishRun();
+  }
+};
+
+/**
+ * Load the wasm build and model once; later calls reuse the instance
+ */
+function loadModel() {
+  loading ??= new Promise((resolve, reject) => {
+    self.Module.onRuntimeInitialized = async () => {
+      try {
+        const response = await fetch(WHISPER_MODEL);
+        if (!response.ok) throw new Error(`Model not found (HTTP ${response.status})`);
+
+        const model = new Uint8Array(await response.arrayBuffer());
+        self.Module.FS_createDataFile('/', 'whisper.bin', model, true, true);
+
+        instance = self.Module.init('whisper.bin');
+        if (!instance) throw new Error('Model failed to load');
+
+        console.log(`Whisper model loaded (${Math.round(model.length / 1e6)} MB)`);
+        resolve(instance);
+      } catch (error) {
+        reject(error);
+      }
+    };
+
+    try {
+      importScripts(WHISPER_SCRIPT);
+    } catch (error) {
+      reject(new Error('Whisper build not installed'));
+    }
+  });
+
+  return loading;
+}
+
+/**
+ * Base64 16-bit PCM to the Float32 samples whisper.cpp expects
+ */
+function decodeAudio(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+
+  const pcm = new Int16Array(bytes.buffer);
+  const samples = new Float32Array(pcm.length);
+  for (let i = 0; i < pcm.length; i++) {
+    samples[i] = pcm[i] / 0x8000;
+  }
+  return samples;
+}
+
+/**
+ * Start whisper.cpp on the samples and resolve with the lines it printed once it's done
+ */
+function runWhisper(samples) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => finish(new Error('Transcription timed out')), WHISPER_TIMEOUT_MS);
+    const finish = (error) => {
+      clearTimeout(timer);
+      finishRun = null;
+      if (error) reject(error);
+      else resolve(output);
+    };
+
+    output = [];
+    finishRun = () => finish(null);
+
+    const threads = Math.min(4, navigator.hardwareConcurrency || 1);
+    const status = self.Module.full_default(instance, samples, 'auto', threads, false);
+    if (status !== 0) finish(new Error(`Transcription failed (status ${status})`));
+  });
+}
+
+function parseOutput(lines) {
+  const segments = [];
+  for (const line of lines) {
+    const match = line.trim().match(SEGMENT_LINE);
+    if (!match) continue;
+
+    const text = match[3].trim();
+    // Whisper marks silence and music with bracketed tags like [MUSIC]
+    if (!text || /^[[(].*[\])]$/.test(text)) continue;
+
+    segments.push({
+      start: TranscriptSegments.parseTimestamp(match[1]),
+      end: TranscriptSegments.parseTimestamp(match[2]),
+      text
+    });
+  }
+  return segments;
+}
+
+async function transcribe({ id, audio, sampleRate }) {
+  try {
+    if (sampleRate !== WHISPER_SAMPLE_RATE) {
+      throw new Error(`Expected ${WHISPER_SAMPLE_RATE} Hz audio, got ${sampleRate}`);
+    }
+
+    await loadModel();
+    const lines = await runWhisper(decodeAudio(audio));
+    self.postMessage({ id, segments: parseOutput(lines) });
+  } catch (error) {
+    const unavailable = /not installed|not found|failed to load/.test(error.message);
+    self.postMessage({
+      id,
+      error: { code: unavailable ? 'MODEL_UNAVAILABLE' : 'TRANSCRIPTION_FAILED', message: error.message }
+    });
+  }
+}
+
+self.addEventListener('message', (event) => {
+  queue = queue.then(() => transcribe(event.data));
+});